@@ -10,104 +10,916 @@
 var config,
     testMode = (process.env.TEST ? true : false);
 
-try {config = require('./data/cli-config.json')} catch (ex) {config = {}};
+// cli-config.json has comments, they are removed before parsing (but not // in strings, e.g. urls)
+try {
 
-var elasticUrl = process.env.ELASTIC_URL || config["elasticUrl"] || "127.0.0.1:9200",
+    config = JSON.parse(require('fs').readFileSync(__dirname + '/data/cli-config.json', 'utf8')
+        .replace(/("(?:\\.|[^"\\])*")|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, '$1')
+        .replace(/,(\s*[}\]])/g, '$1'));
+
+} catch (ex) {
+
+    if (ex.code !== 'ENOENT') {
+        console.error("Error reading data/cli-config.json: " + ex.message);
+        process.exit(1);
+    }
+    config = {};
+
+}
+
+var elasticUrl = process.env.ELASTIC_URL || config["elasticUrl"] || "127.0.0.1:9200",  // one or more urls, comma separated
+    elasticUsername = process.env.ELASTIC_USERNAME || config["elasticUsername"],
+    elasticPassword = process.env.ELASTIC_PASSWORD || config["elasticPassword"],
+    elasticApiKey = process.env.ELASTIC_API_KEY || config["elasticApiKey"],
+    elasticCa = process.env.ELASTIC_CA || config["elasticCa"],  // path to the CA certificate of the cluster
+    elasticCert = process.env.ELASTIC_CERT || config["elasticCert"],
+    elasticKey = process.env.ELASTIC_KEY || config["elasticKey"],
+    elasticTlsVerify = String(process.env.ELASTIC_TLS_VERIFY || config["elasticTlsVerify"]) !== 'false',
     elasticPath = process.env.ELASTIC_PATH || config["elasticPath"] || "geonames/geoname",
-    dataPath = process.env.DATAPATH || config["dataPath"];  // no default for dataPath, as the library handles it with os.tmpdir()
+    elasticPostalPath = process.env.ELASTIC_POSTAL_PATH || config["elasticPostalPath"] || "postalcodes/postalcode",
+    dataPath = process.env.DATAPATH || config["dataPath"],  // no default for dataPath, as the library handles it with os.tmpdir()
+    geonameUrl = process.env.GEONAME_URL || config["geonameUrl"],  // e.g. a mirror or file:// directory, defaults to download.geonames.org
+    geonamePostalUrl = process.env.GEONAME_POSTAL_URL || config["geonamePostalUrl"];
+
+// We only init with dataPath and the download sources
+// elastic is only set later if needed and after we've connected to it
+var options = {};
+if (dataPath) {
+    options.dataPath = dataPath;
+}
+if (geonameUrl) {
+    options.geonameUrl = geonameUrl;
+}
+if (geonamePostalUrl) {
+    options.geonamePostalUrl = geonamePostalUrl;
+}
+
+const elasticsearch = require('elasticsearch'),
+    fs = require('fs'),
+    geolistic = require('./lib').init(options);
+
+const EXIT_FAILURE = 1,
+    EXIT_USAGE = 2;
+
+const featureClasses = ['A', 'H', 'L', 'P', 'R', 'S', 'T', 'U', 'V'],
+    datasets = ['allCountries', 'cities500', 'cities1000', 'cities5000', 'cities15000'];
+
+/**
+ * Flags of all commands, type is boolean, number, string or list (comma separated)
+ */
+const flags = {
+    'all': {type: 'boolean', description: "All countries instead of the given ones"},
+    'postal': {type: 'boolean', description: "Postal codes instead of locations"},
+    'force': {type: 'boolean', description: "Download all files again, also if unchanged since the last download"},
+    'alternate-names': {type: 'boolean', description: "Also download alternate names"},
+    'import': {type: 'boolean', description: "Import the countries when downloaded"},
+    'stream': {type: 'boolean', description: "Download and import without writing the country file to disk"},
+    'versioned': {type: 'boolean', description: "Import to a new versioned index and switch alias when done"},
+    'retain': {type: 'number', arg: 'indices', description: "Versioned indices to keep, defaults to 2"},
+    'recreate': {type: 'boolean', description: "Delete the existing index first"},
+    'buffer': {type: 'number', arg: 'records', description: "Buffer size in records, defaults to 1000"},
+    'buffer-bytes': {type: 'number', arg: 'bytes', description: "Buffer size in bytes instead of records"},
+    'concurrency': {type: 'number', arg: 'requests', description: "Bulk requests in flight, defaults to 1"},
+    'feature-code': {type: 'list', arg: 'codes', description: "Only feature codes, e.g. PPLA,PPLC"},
+    'timezone': {type: 'list', arg: 'timezones', description: "Only locations in timezones, e.g. Europe/Oslo"},
+    'admin1': {type: 'list', arg: 'codes', description: "Only locations with admin1 codes"},
+    'admin2': {type: 'list', arg: 'codes', description: "Only locations with admin2 codes"},
+    'min-population': {type: 'number', arg: 'number', description: "Only locations with at least this population"},
+    'max-population': {type: 'number', arg: 'number', description: "Only locations with at most this population"},
+    'bbox': {type: 'list', arg: 'minLon,minLat,maxLon,maxLat', description: "Only locations inside the bounding box"},
+    'polygon': {type: 'string', arg: 'file', description: "Only locations inside the GeoJSON polygon of the file"},
+    'format': {type: 'string', arg: 'geojson|ndjson|csv', values: ['geojson', 'ndjson', 'csv'], description: "Export format, defaults to ndjson"},
+    'out': {type: 'string', arg: 'file', description: "Export file, defaults to stdout"},
+    'size': {type: 'number', arg: 'results', description: "Number of results, defaults to 5"},
+    'json': {type: 'boolean', description: "Print the result as JSON, messages go to stderr"},
+    'help': {type: 'boolean', description: "Show help for the command"}
+};
+
+const filterFlags = ['feature-code', 'timezone', 'admin1', 'admin2', 'min-population', 'max-population', 'bbox', 'polygon'],
+    importFlags = ['buffer', 'buffer-bytes', 'concurrency'].concat(filterFlags);
+
+/**
+ * Commands with usage, flags and the function running them with (params, flags)
+ */
+const commands = {
+    'download': {
+        usage: "download [countries] [fclasses]",
+        description: "Download country (or dataset) files and the admin files",
+        flags: ['all', 'postal', 'force', 'alternate-names', 'import', 'versioned', 'retain'].concat(importFlags),
+        run: _download
+    },
+    'import': {
+        usage: "import [countries] [fclasses]",
+        description: "Index downloaded country files (or datasets, zip paths and urls) in elastic",
+        flags: ['all', 'postal', 'stream', 'versioned', 'retain', 'force'].concat(importFlags),
+        run: _import
+    },
+    'export': {
+        usage: "export <country> [fclasses]",
+        description: "Export a downloaded country file without elastic",
+        flags: ['format', 'out'].concat(filterFlags),
+        run: _export
+    },
+    'names': {
+        usage: "names <country|all>",
+        description: "Add alternate names of a country (or all from alternateNamesV2) to indexed locations",
+        flags: ['buffer'],
+        run: _addNames
+    },
+    'update': {
+        usage: "update [date] [fclasses]",
+        description: "Apply daily updates for date (YYYY-MM-DD), or all days since the last update",
+        flags: filterFlags,
+        run: _update
+    },
+    'search': {
+        usage: "search <text>",
+        description: "Search for locations (or postal codes) in elastic",
+        flags: ['postal', 'size'],
+        run: _search
+    },
+    'reverse': {
+        usage: "reverse <lat,lon>",
+        description: "Find the nearest populated places to a coordinate",
+        flags: ['size'],
+        run: _reverse
+    },
+    'countries': {
+        usage: "countries",
+        description: "List GeoName's countries",
+        flags: [],
+        run: _countries
+    },
+    'init': {
+        usage: "init",
+        description: "Create index with schema in elastic",
+        flags: ['recreate', 'postal'],
+        run: _init
+    },
+    'schema': {
+        usage: "schema",
+        description: "Print the elastic schema of locations (data/schema.json)",
+        flags: [],
+        run: _schema
+    },
+    'help': {
+        usage: "help [command]",
+        description: "Show help for a command",
+        flags: [],
+        run: _help
+    }
+};
+
+/**
+ * Old single dash arguments, translated to commands and flags
+ */
+const legacyCommands = {
+        '-add': 'import', '-addall': 'import', '-stream': 'import', '-download': 'download', '-downloadall': 'download',
+        '-export': 'export', '-addnames': 'names', '-update': 'update', '-search': 'search', '-reverse': 'reverse',
+        '-init': 'init', '-schema': 'schema', '-help': 'help'
+    },
+    legacyFlags = {
+        '-postal': '--postal', '-force': '--force', '-alternatenames': '--alternate-names', '-versioned': '--versioned',
+        '-retain': '--retain', '-recreate': '--recreate', '-buffer': '--buffer', '-bufferbytes': '--buffer-bytes',
+        '-concurrency': '--concurrency', '-featurecode': '--feature-code', '-timezone': '--timezone', '-admin1': '--admin1',
+        '-admin2': '--admin2', '-minpopulation': '--min-population', '-maxpopulation': '--max-population',
+        '-bbox': '--bbox', '-polygon': '--polygon', '-format': '--format', '-out': '--out'
+    };
+
+var db = null,
+    commandName = null,
+    jsonOutput = false;
+
+function _usageError(message) {
+
+    var err = new Error(message);
+
+    err.exitCode = EXIT_USAGE;
+
+    return err;
+
+}
+
+function _log() {
+
+    if (!jsonOutput) {
+        console.log.apply(console, arguments);
+    }
+
+}
+
+/**
+ * End the command: print the result (as JSON with --json) or the error, close elastic and set the exit code
+ */
+function _finish(err, result) {
+
+    if (db) {
+        db.close();
+        db = null;
+    }
+
+    if (err) {
+
+        process.exitCode = err.exitCode || EXIT_FAILURE;
+
+        if (jsonOutput) {
+            console.log(JSON.stringify({error: err.message || String(err)}, null, 2));
+            return;
+        }
+
+        console.error(err.message || err);
+
+        if (err.exitCode === EXIT_USAGE) {
+            console.error("See node geolistic-cli " + (commandName ? commandName + " " : "") + "--help");
+        }
+        return;
+
+    }
+
+    if (jsonOutput && result !== undefined) {
+        console.log(JSON.stringify(result, null, 2));
+    }
+
+}
+
+function _duration(seconds) {
+
+    seconds = Math.round(seconds);
+
+    return Math.floor(seconds / 60) + ":" + ("0" + (seconds % 60)).slice(-2);
+
+}
+
+/**
+ * Hosts of elasticUrl for the elastic client, urls without scheme (e.g. 127.0.0.1:9200) use http
+ */
+function _elasticHosts(urls) {
+
+    return (Array.isArray(urls) ? urls : String(urls).split(',')).map(function (elasticHostUrl) {
+
+        var hasScheme = /^[a-z]+:\/\//i.test(elasticHostUrl.trim()),
+            parsedUrl;
+
+        try {
+            parsedUrl = new URL(hasScheme ? elasticHostUrl.trim() : 'http://' + elasticHostUrl.trim());
+        } catch (err) {
+            throw new Error("Invalid elastic url '" + elasticHostUrl + "'");
+        }
+
+        if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+            throw new Error("Invalid elastic url '" + elasticHostUrl + "', should be http or https");
+        }
+
+        var host = {
+            protocol: parsedUrl.protocol.replace(':', ''),
+            host: parsedUrl.hostname,
+            // without scheme the port defaults to elastic's 9200, like before urls were supported
+            port: +parsedUrl.port || (hasScheme ? (parsedUrl.protocol === 'https:' ? 443 : 80) : 9200),
+            // path prefix of elastic behind a proxy, e.g. https://example.com/elastic
+            path: parsedUrl.pathname.replace(/\/$/, '')
+        };
+
+        if (parsedUrl.username) {
+            host.auth = decodeURIComponent(parsedUrl.username) + ':' + decodeURIComponent(parsedUrl.password);
+        }
+
+        return host;
+
+    });
+
+}
+
+/**
+ * Options for the elastic client with hosts, credentials and TLS
+ */
+function _elasticOptions() {
+
+    var options = {
+        hosts: _elasticHosts(elasticUrl),
+        log: []
+    };
+
+    if (elasticApiKey && (elasticUsername || elasticPassword)) {
+        throw new Error("Use either ELASTIC_USERNAME and ELASTIC_PASSWORD or ELASTIC_API_KEY");
+    }
+
+    if (elasticUsername) {
+        options.httpAuth = elasticUsername + ':' + (elasticPassword || '');
+    }
+
+    if (elasticApiKey) {
+
+        // the key is used as given by elastic (base64), or as id:key
+        var apiKey = (elasticApiKey.indexOf(':') !== -1 ? Buffer.from(elasticApiKey).toString('base64') : elasticApiKey);
+
+        options.hosts.forEach(function (host) {
+            host.headers = {Authorization: 'ApiKey ' + apiKey};
+        });
+
+    }
+
+    options.ssl = {rejectUnauthorized: elasticTlsVerify};
+
+    try {
+
+        if (elasticCa) {
+            options.ssl.ca = fs.readFileSync(elasticCa);
+        }
+        if (elasticCert) {
+            options.ssl.cert = fs.readFileSync(elasticCert);
+        }
+        if (elasticKey) {
+            options.ssl.key = fs.readFileSync(elasticKey);
+        }
+
+    } catch (err) {
+        throw new Error("Error reading TLS certificate: " + err.message);
+    }
+
+    return options;
+
+}
+
+/**
+ * Explain why a request to elastic failed
+ */
+function _elasticErrorHint(err) {
+
+    const message = String((err && err.message) || err);
+
+    if (err.statusCode === 401) {
+        return "authentication failed, check ELASTIC_USERNAME and ELASTIC_PASSWORD or ELASTIC_API_KEY";
+    }
+    if (err.statusCode === 403) {
+        return "access denied, the user or API key needs the monitor privilege and access to the indices";
+    }
+    if (err.statusCode) {
+        return "elastic answered with status " + err.statusCode + ", check the path of the url";
+    }
+    if (/ECONNREFUSED/.test(message)) {
+        return "connection refused, is elastic running on this host and port?";
+    }
+    if (/ENOTFOUND|EAI_AGAIN/.test(message)) {
+        return "host not found, check the host name";
+    }
+    if (/certificate|CERT_|self.signed|altnames/i.test(message)) {
+        return "TLS certificate not trusted, set ELASTIC_CA to the CA certificate of the cluster (" +
+            message.split('\n')[0] + ")";
+    }
+    if (/EPROTO|wrong version number/.test(message)) {
+        return "TLS handshake failed, use an http:// url if elastic does not use TLS";
+    }
+    if (/ECONNRESET|socket hang up|Parse Error/.test(message)) {
+        return "connection closed by elastic, use an https:// url if elastic requires TLS";
+    }
+    if (err instanceof elasticsearch.errors.RequestTimeout) {
+        return "no answer in time, check the host, port and firewall";
+    }
+
+    return message.split('\n')[0];
+
+}
+
+/**
+ * Ping each elastic host on its own, as the client only reports "No Living connections" after its retries
+ */
+function _elasticDiagnose(options, cb) {
+
+    var messages = [];
+
+    function helperHostUrl(host) {
+
+        return host.protocol + "://" + host.host + ":" + host.port + host.path;
+
+    }
+
+    function diagnoseHost(index) {
+
+        var host = options.hosts[index],
+            client;
+
+        if (!host) {
+            cb(new Error("Error connecting to elastic" + (messages.length === 1 ? " at" + messages[0] : ":\n " + messages.join("\n "))));
+            return;
+        }
+
+        client = new elasticsearch.Client(Object.assign({}, options, {hosts: [host], maxRetries: 0, requestTimeout: 10000}));
+
+        client.ping({}, function (err) {
+
+            client.close();
+
+            messages.push(" " + helperHostUrl(host) + ": " + (err ? _elasticErrorHint(err) : "ok"));
+            diagnoseHost(index + 1);
+
+        });
+
+    }
+
+    diagnoseHost(0);
+
+}
+
+function _dbConnect(cb) {
+
+    var elasticOptions = null;
+
+    try {
+
+        elasticOptions = (testMode ? null : _elasticOptions());
+
+    } catch (err) {
+
+        _finish(err);
+        return;
+
+    }
+
+    db = testMode ?
+    {close: function () {}, ping: function (args, fn) {fn(null);}} :
+        new elasticsearch.Client(Object.assign({}, elasticOptions));
+
+    db.ping({}, function (err) {
+
+        if (err) {
+            _elasticDiagnose(elasticOptions, _finish);
+            return;
+        }
+
+        try {
+
+            geolistic.config({
+                elasticClient: db,
+                elasticPath: elasticPath,
+                elasticPostalPath: elasticPostalPath
+            });
+
+        } catch (err) {
+
+            _finish(err);
+            return;
+
+        }
+
+        (cb ? cb() : null);
+
+    });
+
+}
+
+/**
+ * Split positional params of import, download, export and update into countries and feature classes
+ */
+function _countriesAndClasses(params) {
+
+    var countries = [],
+        fclasses = [];
+
+    params.forEach(function (param) {
+
+        if (param.length === 1) {
+
+            if (featureClasses.indexOf(param.toUpperCase()) === -1) {
+                throw _usageError("Unknown feature class '" + param + "', should be one of " + featureClasses.join(', '));
+            }
+            fclasses.push(param.toUpperCase());
+
+        } else if (/^[A-Za-z0-9]{2}$/.test(param) || /\.zip$/i.test(param) || /^(https?|file):\/\//.test(param) ||
+            datasets.some(function (dataset) {
+                return dataset.toLowerCase() === param.toLowerCase();
+            })) {
+
+            if (countries.indexOf(param) === -1) {
+                countries.push(param);
+            }
+
+        } else {
+            throw _usageError("Invalid country '" + param + "', should be a country code, a dataset (" +
+                datasets.join(', ') + "), or a .zip path or url");
+        }
+
+    });
+
+    return {countries: countries, fclasses: fclasses};
+
+}
+
+function _recordFilter(args) {
+
+    var filter = null;
+
+    filterFlags.forEach(function (name) {
+
+        var value = args[name];
+
+        if (value === undefined) {
+            return;
+        }
+
+        filter = filter || {};
+
+        if (name === 'bbox') {
+
+            value = value.map(Number);
+
+            if (value.length !== 4 || value.some(isNaN)) {
+                throw _usageError("Invalid --bbox, should be minLon,minLat,maxLon,maxLat");
+            }
+            filter.bbox = value;
+
+        } else if (name === 'polygon') {
+
+            try {
+                filter.polygon = JSON.parse(fs.readFileSync(value, 'utf8'));
+            } catch (err) {
+                throw _usageError("Error reading polygon file " + value + ": " + err.message);
+            }
+
+        } else {
+
+            // e.g. min-population to minPopulation
+            filter[name.replace(/-([a-z])/g, function (match, letter) {
+                return letter.toUpperCase();
+            })] = value;
+
+        }
+
+    });
+
+    return filter;
+
+}
+
+/**
+ * Countries of the params, or all countries with --all
+ */
+function _getCountries(params, args, cb) {
+
+    if (args.all) {
+
+        if (params.length) {
+            cb(_usageError("Use either countries or --all"));
+            return;
+        }
+
+        if (testMode) {
+            cb(null, null);
+            return;
+        }
+
+        // one archive has the postal codes of all countries, many countries have no file of their own
+        if (args.postal) {
+            cb(null, ['allCountries']);
+            return;
+        }
+
+        geolistic.getGeoNameCountries(function (err, countries) {
+
+            cb((err ? new Error("Error getting countries: " + (err.message || err)) : null), countries);
+
+        });
+        return;
+
+    }
+
+    if (!params.length) {
+        cb(_usageError("Missing argument: country code, or use --all"));
+        return;
+    }
+
+    cb(null, params);
+
+}
+
+function _importOptions(args, fclasses) {
+
+    var options = {},
+        filter = _recordFilter(args);
+
+    if (fclasses.length) {
+        options.classFilters = fclasses;
+    }
+    if (filter) {
+        options.filter = filter;
+    }
+    if (args['buffer']) {
+        options.bufferRecords = args['buffer'];
+    }
+    if (args['buffer-bytes']) {
+        options.bufferBytes = args['buffer-bytes'];
+    }
+    if (args['concurrency']) {
+        options.bulkConcurrency = args['concurrency'];
+    }
+
+    return options;
+
+}
+
+function _add(countries, options, args, cb) {
+
+    var job = geolistic.createJob(),
+        result = {countries: [], processed: 0, added: 0, failed: 0, invalid: 0};
+
+    options.job = job;
+
+    if (args.stream) {
+        options.download = true;
+    }
+
+    job.on('progress', function (progress) {
+
+        var mem = process.memoryUsage().heapUsed;
+
+        if (jsonOutput) {
+            return;
+        }
+
+        if (mem > 1000000) {
+            mem = parseInt(mem/1000000) + 'm';
+        } else if (mem > 1000) {
+            mem = parseInt(mem/1000) + 'k';
+        } else {
+            mem = mem + 'b';
+        }
+
+        process.stdout.write("\rProcessed " + progress.records + " records (" + mem + " mem, " +
+            _duration(progress.elapsed) + " elapsed, " + progress.rate + " records/sec" +
+            (progress.eta === null ? "" : ", " + _duration(progress.eta) + " left") + ") ");
+
+    });
+
+    job.on('countryDone', function (done) {
+
+        _log("\n%s finished with %d processed and %d added records",
+            done.country,
+            done.result.processed,
+            done.result.added);
+
+        if (done.result.invalid) {
+            console.warn("%s had %d invalid records, they were not added", done.country, done.result.invalid);
+        }
+        if (done.result.failed) {
+            console.warn("%s had %d records rejected by elastic, they were written to " +
+                "geolistic-failed.ndjson in the data path", done.country, done.result.failed);
+        }
+
+        result.countries.push({country: done.country, processed: done.result.processed, added: done.result.added,
+            failed: done.result.failed || 0, invalid: done.result.invalid || 0});
+
+    });
+
+    function addCountry(index) {
+
+        var addFile = (args.postal ? geolistic.addPostalFileToElastic : geolistic.addFileToElastic);
+
+        if (!countries[index]) {
+
+            _log("All done with %d processed and %d added records", result.processed, result.added);
+            cb(null, result);
+            return;
+
+        }
+
+        addFile(countries[index], options, function (err, added) {
+
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            result.processed += added.processed;
+            result.added += added.added;
+            result.failed += added.failed || 0;
+            result.invalid += added.invalid || 0;
+
+            addCountry(index + 1);
+
+        });
+
+    }
+
+    _dbConnect(function () {
+
+        if (args.versioned && !args.postal) {
+
+            options.retain = (args.retain === undefined ? 2 : args.retain);
+
+            geolistic.reindex(countries, options, function (err, reindexed) {
+
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                _log("All done with %d processed and %d added records", reindexed.processed, reindexed.added);
+                _log("Alias %s switched to %s", elasticPath.split('/')[0], reindexed.index);
+
+                for (var i = 0; i < reindexed.pruned.length; i += 1) {
+                    _log("Deleted old index " + reindexed.pruned[i]);
+                }
+
+                result.processed = reindexed.processed;
+                result.added = reindexed.added;
+                result.failed = reindexed.failed;
+                result.invalid = reindexed.invalid;
+                result.index = reindexed.index;
+                result.pruned = reindexed.pruned;
+
+                cb(null, result);
+
+            });
+
+            return;
+
+        }
+
+        if (testMode) {
+            addCountry(0);
+            return;
+        }
+
+        // check the mapping before importing millions of documents
+        geolistic.ensureIndex({postalCodes: args.postal}, function (err, ensured) {
+
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            if (ensured.created) {
+                _log("Created index %s", ensured.index);
+            }
+
+            addCountry(0);
+
+        });
+
+    });
+
+}
+
+function _import(params, args) {
+
+    const parsed = _countriesAndClasses(params),
+        options = _importOptions(args, parsed.fclasses);
+
+    if (args.stream && args.postal) {
+        throw _usageError("--stream is not supported for postal codes, use download --import --postal");
+    }
+
+    if (parsed.countries.indexOf('00') !== -1) {
+        testMode = true;
+    }
+
+    _getCountries(parsed.countries, args, function (err, countries) {
+
+        if (err) {
+            _finish(err);
+            return;
+        }
 
-elasticUrl = elasticUrl.replace(/^(https\:\/\/|http\:\/\/)/, "");
-elasticUrl = elasticUrl.replace("/", "");
+        // test mode imports the sample files instead of all countries
+        countries = countries || ['00'];
 
-// We only init with dataPath
-// elastic is only set later if needed and after we've connected to it
-var options = {};
-if (dataPath) {
-    options.dataPath = dataPath;
-}
+        if (!args.stream) {
+            _add(countries, options, args, _finish);
+            return;
+        }
 
-const elasticsearch = require('elasticsearch'),
-    parse = require('csv-parse'),
-    fs = require('fs'),
-    transform = require('stream-transform'),
-    geolistic = require('./lib').init(options);
+        // only the small admin files are stored, the country zip is indexed while it downloads
+        geolistic.downloadGeoNameAdminFiles({force: args.force}, function (err, report) {
 
-const NS_PER_SEC = 1e9;
+            if (!err && report.failed.length) {
+                err = new Error("Error downloading admin files: " + report.failed.map(function (failed) {
+                    return failed.error;
+                }).join(", "));
+            }
 
-var processTime,
-    db = null,
-    countryCode = null,
-    searchString = null,
-    doHelp = false,
-    doAdd = false,
-    doDownload = false,
-    doSearch = false,
-    bufferRecords = null,
-    fclasses = null;
+            if (err) {
+                _finish(err);
+                return;
+            }
 
-function _dbConnect(cb) {
+            _add(countries, options, args, _finish);
 
-    db = testMode ?
-    {close: function () {}, ping: function (args, fn) {fn(null);}} :
-        new elasticsearch.Client({
-            host: elasticUrl,
-            log: []
         });
 
-    db.ping({}, function (err) {
+    });
+
+}
+
+function _download(params, args) {
+
+    const parsed = _countriesAndClasses(params),
+        options = _importOptions(args, parsed.fclasses);
+
+    if (!args.import && (parsed.fclasses.length || Object.keys(options).length)) {
+        throw _usageError("Feature classes, filters and buffers are only used with --import");
+    }
+
+    _getCountries(parsed.countries, args, function (err, countries) {
+
+        var downloadJob = geolistic.createJob(),
+            allCountries = args.all;
 
         if (err) {
-            console.error("Error connecting to elastic, check your config");
-            console.error(err);
-            db.close();
+            _finish(err);
             return;
         }
 
-        (cb ? cb() : null);
+        if (testMode) {
+            countries = ['NU'];
+        }
 
-    });
+        downloadJob.on('countryDone', function (done) {
 
-}
+            if (done.status === 'failed') {
+                console.error("Failed " + done.file + ": " + done.error);
+            } else {
+                _log((done.status === 'skipped' ? "Unchanged " : "Downloaded ") + done.file);
+            }
 
-function _search(searchString) {
+        });
 
-    _dbConnect(function () {
+        downloadJob.on('warning', function (warning) {
 
-        const path = elasticPath.split("/");
-
-        db.search({
-            index: path[0],
-            type: path[1],
-            size: 5,
-            body: {"query" :
-                    {"constant_score" :
-                        {"filter" :
-                            {"bool" :
-                                {"must" : [
-                                    {"query_string": {"query": searchString,
-                                        "fields": ["name", "asciiName", "alternateNames"]}},
-                                    {"range": {"population": {"gt": 0}}},
-                                    {"term": {"featureClass": "P" }}
-                                ]
-                                }
-                            }
-                        }
-                    },
-                "sort": [
-                    {"population": { "order": "desc"}}
-                ]
-                }
-        }, function (err, searchResult) {
+            console.warn(warning.message);
+
+        });
+
+        var downloadOptions = {
+            "parallelDownloads": 5,
+            "job": downloadJob,
+            "extract": true,
+            "force": args.force,
+            "adminNames": true,
+            // all alternate names are fetched from alternateNamesV2 below
+            "alternateNames": args['alternate-names'] && !allCountries
+        };
+
+        var downloadFiles = (args.postal ?
+            geolistic.downloadGeoNamePostalFiles : geolistic.downloadGeoNameCountryFiles);
+
+        downloadFiles(countries, downloadOptions, function (err, report) {
 
             if (err) {
-                console.error("Error with elastic query:");
-                console.error(err);
-                db.close();
+                _finish(err);
                 return;
             }
 
-            for (var i = 0; i < searchResult.hits.hits.length; i += 1) {
-                console.log(searchResult.hits.hits[i]);
+            function helperDownloaded() {
+
+                _log(report.processed + " files downloaded and extracted (" +
+                    report.succeeded.length + " downloaded, " + report.skipped.length + " unchanged, " +
+                    report.failed.length + " failed)");
+
+                if (report.failed.length) {
+
+                    console.error(report.failed.length + " files failed to download:");
+                    report.failed.forEach(function (failed) {
+                        console.error("  " + failed.url + ": " + failed.error);
+                    });
+
+                    process.exitCode = EXIT_FAILURE;
+                    _finish(null, report);
+                    return;
+
+                }
+
+                if (!args.import) {
+                    _finish(null, report);
+                    return;
+                }
+
+                _add((testMode ? ['00'] : countries), options, args, function (err, imported) {
+
+                    report.imported = imported;
+                    _finish(err, report);
+
+                });
+
+            }
+
+            if (args['alternate-names'] && allCountries) {
+
+                geolistic.downloadGeoNameAlternateNames(downloadOptions, function (err, namesReport) {
+
+                    if (err) {
+                        _finish(err);
+                        return;
+                    }
+
+                    report.processed += namesReport.processed;
+                    report.succeeded = report.succeeded.concat(namesReport.succeeded);
+                    report.skipped = report.skipped.concat(namesReport.skipped);
+                    report.failed = report.failed.concat(namesReport.failed);
+                    helperDownloaded();
+
+                });
+
+            } else {
+                helperDownloaded();
             }
 
         });
@@ -116,279 +928,493 @@ function _search(searchString) {
 
 }
 
-function _add(countries) {
+function _export(params, args) {
 
-    _dbConnect(function () {
+    const parsed = _countriesAndClasses(params);
 
-        try {
+    if (parsed.countries.length !== 1) {
+        throw _usageError("Missing argument: one country code to export");
+    }
 
-            geolistic.config({
-                elasticClient: db,
-                elasticPath: elasticPath
-            });
+    // without --out the export goes to stdout, so messages go to stderr
+    var options = {
+        format: args.format || 'ndjson',
+        out: args.out || process.stdout,
+        classFilters: parsed.fclasses,
+        filter: _recordFilter(args)
+    };
 
-        } catch (err) {
+    geolistic.exportLocations(parsed.countries[0], options, function (err, result) {
 
-            console.error(err);
-            db.close();
+        if (err) {
+            _finish(err);
             return;
         }
 
-        var options = {
-            "bufferAdded": function(records) {
+        if (jsonOutput) {
 
-                var mem = process.memoryUsage().heapUsed;
+            (args.out ? console.log : console.error)(JSON.stringify(result, null, 2));
 
-                if (mem > 1000000) {
-                    mem = parseInt(mem/1000000) + 'm';
-                } else if (mem > 1000) {
-                    mem = parseInt(mem/1000) + 'k';
-                } else {
-                    mem = mem + 'b';
-                }
+        } else {
 
-                var diffTime = process.hrtime(processTime);
+            console.error("All done with %d processed and %d exported records", result.processed, result.exported);
 
-                var recordsPerSec = parseInt(records / (diffTime[0] + (diffTime[1]/NS_PER_SEC)));
+            if (result.invalid) {
+                console.error("%d invalid records were not exported", result.invalid);
+            }
 
-                process.stdout.write("\rProcessed " + records + " records (" + mem + " mem, " +
-                    diffTime[0] + ":" + parseInt(diffTime[1]/1000000) +" elapsed " +
-                    recordsPerSec + " records/sec) ");
+        }
 
-            }};
+        _finish(null);
 
-        if (fclasses) {
-            options.classFilters = fclasses;
-        }
-        if (bufferRecords) {
-            options.bufferRecords = bufferRecords;
-        }
+    });
 
-        var allProcessed = 0,
-            allAdded = 0;
+}
 
-        (function addCountry(index) {
-            index = index || 0;
+function _init(params, args) {
 
-            if (!countries[index]) {
+    if (params.length) {
+        throw _usageError("Unexpected argument '" + params[0] + "'");
+    }
 
-                console.log("All done with %d processed and %d added records",
-                    allProcessed,
-                    allAdded);
+    _dbConnect(function () {
 
-                if (db) {
-                    db.close();
-                }
-                return;
+        geolistic.createIndex({recreate: args.recreate, postalCodes: args.postal}, function (err, result) {
 
+            if (!err) {
+                _log("Created index %s for elastic %d", result.index, result.version);
             }
 
-            processTime = process.hrtime();
+            _finish(err, result);
 
-            geolistic.addFileToElastic(countries[index], options, function (err, result) {
+        });
 
-                if (err) {
+    });
+
+}
+
+function _addNames(params, args) {
 
-                    console.error(err);
+    if (params.length !== 1) {
+        throw _usageError("Missing argument: country code or all");
+    }
 
-                } else {
+    if (params[0] === '00') {
+        testMode = true;
+    }
 
-                    console.log("\n%s finished with %d processed and %d added records",
-                        countries[index],
-                        result.processed,
-                        result.added);
+    _dbConnect(function () {
 
-                    allProcessed += result.processed;
-                    allAdded += result.added;
+        var options = {
+            "bufferAdded": function(processed) {
 
-                    addCountry(index + 1);
+                if (!jsonOutput) {
+                    process.stdout.write("\rProcessed " + processed + " alternate names ");
                 }
 
-            });
+            }};
+
+        if (args.buffer) {
+            options.bufferRecords = args.buffer;
+        }
+
+        geolistic.addAlternateNamesToElastic(params[0], options, function (err, result) {
+
+            if (!err) {
+                _log("\nAll done with %d alternate names processed and %d locations updated",
+                    result.processed,
+                    result.updated);
+            }
+            if (!err && result.failed) {
+                console.warn("%d location updates were rejected by elastic, they were written to " +
+                    "geolistic-failed.ndjson in the data path", result.failed);
+            }
 
-        })();
+            _finish(err, result);
+
+        });
 
     });
 
 }
 
-var args = process.argv.slice(2);
+function _update(params, args) {
 
-for (var i = 0; i < args.length; i += 1) {
+    // date is optional, without it all missed days are applied
+    const date = (params[0] && /^\d{4}-\d{2}-\d{2}$/.test(params[0]) ? params.shift() : null),
+        parsed = _countriesAndClasses(params),
+        filter = _recordFilter(args);
 
-    if (args[i] === '-help' || args[i] === '--help') {
+    if (parsed.countries.length) {
+        throw _usageError("Unexpected argument '" + parsed.countries[0] + "', should be a date (YYYY-MM-DD) or feature classes");
+    }
 
-        doHelp = true;
+    _dbConnect(function () {
 
-    } else if (args[i] === '-addall') {
+        var options = {
+            "dateApplied": function (result) {
 
-        doAdd = true;
-        fclasses = [];
+                _log("%s applied with %d updated, %d deleted and %d renamed locations",
+                    result.date,
+                    result.updated,
+                    result.deleted,
+                    result.namesUpdated);
 
-    } else if (args[i] === '-add') {
+            }};
 
-        doAdd = true;
-        fclasses = [];
+        if (parsed.fclasses.length) {
+            options.classFilters = parsed.fclasses;
+        }
+        if (filter) {
+            options.filter = filter;
+        }
+
+        geolistic.applyDailyUpdates(date, options, function (err, result) {
+
+            if (!err && !result.dates.length) {
+                _log("Already up to date");
+            } else if (!err) {
+                _log("All done with %d days applied", result.dates.length);
+            }
+
+            _finish(err, result);
+
+        });
+
+    });
+
+}
+
+function _search(params, args) {
+
+    const searchString = params.join(' '),
+        size = args.size || 5;
+
+    if (!searchString) {
+        throw _usageError("Missing argument: search text");
+    }
+
+    _dbConnect(function () {
+
+        function helperPrint(err, results) {
+
+            if (err) {
+                _finish(new Error("Error with elastic query: " + (err.message || err)));
+                return;
+            }
+
+            for (var i = 0; i < results.length; i += 1) {
+                _log(results[i]);
+            }
+
+            _finish(null, results);
 
-        if (args.length < (i + 1)) {
-            console.error("Missing argument: countryCode");
-            process.exit(0);
         }
 
-        i += 1;
+        if (args.postal) {
+
+            geolistic.searchPostalCodes(searchString, {size: size}, helperPrint);
+            return;
 
-        countryCode = args[i];
-        if (countryCode === '00') {
-            testMode = true;
         }
 
-    } else if (args[i] === '-downloadall') {
+        geolistic.search(searchString, {size: size, featureClass: 'P', minPopulation: 1}, function (err, result) {
 
-        doDownload = true;
+            helperPrint(err, (result ? result.locations : null));
 
-    } else if (args[i] === '-buffer') {
+        });
 
-        if (args.length < (i + 1)) {
-            console.error("Missing argument: buffer size");
-            process.exit(0);
-        }
+    });
 
-        i += 1;
+}
 
-        bufferRecords = +args[i];
+function _reverse(params, args) {
 
-    } else if (args[i] === '-download') {
+    const coordinate = (params[0] || '').split(',').map(Number);
 
-        doDownload = true;
+    if (params.length !== 1 || coordinate.length !== 2 || coordinate.some(isNaN)) {
+        throw _usageError("Missing argument: coordinate as lat,lon");
+    }
 
-        if (args.length < (i + 1)) {
-            console.error("Missing argument: countryCode");
-            process.exit(0);
-        }
+    _dbConnect(function () {
 
-        i += 1;
+        geolistic.reverseGeocode(coordinate[0], coordinate[1], {size: args.size || 5}, function (err, locations) {
 
-        countryCode = args[i];
+            if (err) {
+                _finish(new Error("Error with elastic query: " + (err.message || err)));
+                return;
+            }
 
-    } else if (args[i] === '-search') {
+            for (var i = 0; i < locations.length; i += 1) {
+                _log(locations[i]);
+            }
 
-        doSearch = true;
+            _finish(null, locations);
 
-        if (args.length < (i + 1)) {
-            console.error("Missing argument: search string");
-            process.exit(0);
-        }
+        });
 
-        i += 1;
+    });
 
-        searchString = args[i];
+}
 
-    } else {
+function _countries(params) {
 
-        if (fclasses) {
-            fclasses[fclasses.length] = args[i];
-            continue;
-        } else {
+    if (params.length) {
+        throw _usageError("Unexpected argument '" + params[0] + "'");
+    }
 
-            console.warn("Unknown argument '" + args[i] + "'");
+    geolistic.getCountries(function (err, countries) {
+
+        if (!err) {
+
+            countries.forEach(function (country) {
+                _log(country.iso + "\t" + country.country);
+            });
 
         }
 
+        _finish((err ? new Error("Error getting countries: " + (err.message || err)) : null), countries);
+
+    });
+
+}
+
+function _schema(params) {
+
+    if (params.length) {
+        throw _usageError("Unexpected argument '" + params[0] + "'");
+    }
+
+    // the schema is JSON already, also without --json
+    console.log(JSON.stringify(geolistic.getSchema(), null, 2));
+
+}
+
+function _help(params) {
+
+    if (params[0] && !commands[params[0]]) {
+        throw _usageError("Unknown command '" + params[0] + "'");
     }
 
+    console.log(params[0] ? _commandUsage(params[0]) : _usage());
+
 }
 
-if (doHelp || (!doAdd && !doDownload && !doSearch)) {
+function _usage() {
 
-    console.log("Usage: node geolistic-cli [OPTION]\n" +
-        "Download or index geoname files in elastic\n" +
+    return "Usage: node geolistic-cli <command> [arguments] [--flags]\n" +
+        "Download, index and search geoname files in elastic\n" +
         "\n" +
-        "Valid arguments:\n" +
-        "  -search <location>             Search for location (use after adding)\n" +
-        "  -download <country code>       Download specified country geoname file\n" +
-        "  -downloadall                   Download all country geoname files\n" +
-        "  -add <country code> [fclasses] Index specified country geoname file\n" +
-        "  -addall [fclasses]             Index all country geoname files\n" +
-        "  -buffer <records>              Buffer size in records (only for add operations), defaults to 1000\n" +
+        "Commands:\n" +
+        Object.keys(commands).map(function (name) {
+            return "  " + (commands[name].usage + "                                ").substr(0, 32) + " " +
+                commands[name].description;
+        }).join("\n") + "\n" +
+        "\n" +
+        "Run \"node geolistic-cli <command> --help\" for the flags of a command, all commands take --json\n" +
+        "to print the result as JSON. Exit code is 0 when done, 1 on errors and 2 on invalid arguments.\n" +
+        "\n" +
+        "Instead of a country code, use a dataset: " + datasets.join(', ') + "\n" +
+        "(only allCountries for --postal, which --all uses). import also takes the path or url of a zip, e.g. /tmp/AT.zip\n" +
         "\n" +
         "For valid fclasses see http://www.geonames.org/export/codes.html\n" +
         "  A - country, state, region\n" +
         "  P - city, village\n" +
         "  etc...\n" +
         "\n" +
-        "Example: node geolistic-cli -add NO P A"
-    );
+        "Example: node geolistic-cli import NO P A";
+
+}
 
-    return;
+function _commandUsage(name) {
+
+    const command = commands[name];
+
+    return "Usage: node geolistic-cli " + command.usage + (command.flags.length ? " [--flags]" : "") + "\n" +
+        command.description + "\n" +
+        "\n" +
+        "Flags:\n" +
+        command.flags.concat(['json', 'help']).map(function (flagName) {
+            const flag = flags[flagName];
+            return "  " + ("--" + flagName + (flag.arg ? " <" + flag.arg + ">" : "") +
+                "                                ").substr(0, 32) + " " + flag.description;
+        }).join("\n");
 
 }
 
-if (doDownload || doAdd) {
+/**
+ * Translate old single dash arguments (e.g. "-add NO P -postal") to a command with flags
+ */
+function _translateLegacyArgs(args) {
 
-    var getCountries;
+    var command = null,
+        translated = [],
+        extraFlags = [];
 
-    if (countryCode) {
-        getCountries = function (fn) {
-            fn(null, [countryCode]);
-        };
-    } else {
-        getCountries = function (fn) {
-            geolistic.getGeoNameCountries(fn);
-        };
-    }
+    args.forEach(function (arg) {
 
-    getCountries(function (err, countries) {
+        if (legacyCommands[arg]) {
 
-        if (err) {
+            // -download with -add downloads and then imports
+            if (command === 'download' && legacyCommands[arg] === 'import') {
+                extraFlags.push('--import');
+            } else if (command === 'import' && legacyCommands[arg] === 'download') {
+                command = 'download';
+                extraFlags.push('--import');
+            } else {
+                command = legacyCommands[arg];
+            }
 
-            console.error("Error getting countries: " + err);
+            if (arg === '-addall' || arg === '-downloadall') {
+                extraFlags.push('--all');
+            }
+            if (arg === '-stream') {
+                extraFlags.push('--stream');
+            }
 
         } else {
+            translated.push(legacyFlags[arg] || arg);
+        }
 
-            if (doDownload) {
+    });
 
-                if (testMode) {
-                    countries = ['NU'];
-                }
-                geolistic.downloadGeoNameCountryFiles(countries, {
-                    "parallelDownloads": 5,
-                    "postDownload": function (files) {
+    if (!command) {
+        return args;
+    }
 
-                        for (var i = 0; i < files.length; i += 1) {
-                            console.log("Downloaded " + files[i]);
-                        }
+    translated = [command].concat(translated, extraFlags.filter(function (flag, index) {
+        return extraFlags.indexOf(flag) === index;
+    }));
 
-                    },
-                    "extract": true
-                }, function (err, filesProcessed) {
+    console.error("Deprecated arguments, use: node geolistic-cli " + translated.join(' '));
 
-                    if (err) {
-                        console.error(err);
-                    } else {
-                        console.log(filesProcessed + " files downloaded and extracted");
+    return translated;
 
-                        if (doAdd) {
-                            _add(countries);
-                        }
-                    }
+}
 
-                });
+/**
+ * Parse and validate arguments into command, params and flags
+ */
+function _parseArgs(args) {
+
+    var name = args[0],
+        command,
+        params = [],
+        values = {};
+
+    if (!name || name === '--help' || name === '-h') {
+        return {name: 'help', params: [], flags: {}};
+    }
+
+    command = commands[name];
+
+    if (!command) {
+        throw _usageError("Unknown command '" + name + "'");
+    }
 
+    for (var i = 1; i < args.length; i += 1) {
+
+        var arg = args[i],
+            flagName,
+            flag,
+            value;
+
+        if (arg.substr(0, 2) !== '--') {
+
+            // negative numbers and coordinates are params, e.g. reverse -33.86,151.21
+            if (/^-[^\d.]/.test(arg)) {
+                throw _usageError("Unknown argument '" + arg + "', flags start with --");
             }
 
-            if (doAdd && !doDownload) {
+            params.push(arg);
+            continue;
+
+        }
+
+        flagName = arg.substr(2).split('=')[0];
+        flag = flags[flagName];
 
-                if (testMode) {
-                    countries = ['00'];
-                }
-                _add(countries);
+        if (!flag || (command.flags.concat(['json', 'help']).indexOf(flagName) === -1)) {
+            throw _usageError("Unknown flag --" + flagName + " for " + name);
+        }
+
+        if (flag.type === 'boolean') {
 
+            // --flag=false turns a flag off explicitly
+            value = (arg.indexOf('=') !== -1 ? arg.substr(arg.indexOf('=') + 1) : 'true');
+
+            if (value !== 'true' && value !== 'false') {
+                throw _usageError("Invalid --" + flagName + " '" + value + "', should be true or false");
             }
+
+            values[flagName] = (value === 'true');
+            continue;
+
+        }
+
+        if (arg.indexOf('=') !== -1) {
+            value = arg.substr(arg.indexOf('=') + 1);
+        } else {
+
+            i += 1;
+            value = args[i];
+
+            if (value === undefined) {
+                throw _usageError("Missing value for --" + flagName);
+            }
+
+        }
+
+        if (flag.type === 'number') {
+
+            value = +value;
+
+            if (isNaN(value) || value < 0) {
+                throw _usageError("Invalid --" + flagName + ", should be a number");
+            }
+
+        } else if (flag.type === 'list') {
+
+            value = value.split(',');
+
+        } else if (flag.values && flag.values.indexOf(value) === -1) {
+
+            throw _usageError("Invalid --" + flagName + " '" + value + "', should be one of " + flag.values.join(', '));
+
         }
-    });
 
-} else if (doSearch) {
+        values[flagName] = value;
 
-    _search(searchString);
+    }
+
+    return {name: name, params: params, flags: values};
 
 }
+
+(function () {
+
+    var args = _translateLegacyArgs(process.argv.slice(2)),
+        parsed;
+
+    // also set for invalid flags, so the error can point to the help of the command
+    commandName = (commands[args[0]] && args[0] !== 'help' ? args[0] : null);
+    jsonOutput = (args.indexOf('--json') !== -1 || args.indexOf('--json=true') !== -1);
+
+    try {
+
+        parsed = _parseArgs(args);
+
+        if (parsed.flags.help) {
+            console.log(_commandUsage(parsed.name));
+            return;
+        }
+
+        commands[parsed.name].run(parsed.params, parsed.flags);
+
+    } catch (err) {
+
+        _finish(err);
+
+    }
+
+})();
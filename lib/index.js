@@ -11,12 +11,20 @@
  */
 'use strict';
 
-const download = require('download'),
+const decompress = require('decompress'),
     parse = require('csv-parse'),
     fs = require('fs'),
     path = require('path'),
     os = require('os'),
-    transform = require('stream-transform');
+    url = require('url'),
+    http = require('http'),
+    https = require('https'),
+    crypto = require('crypto'),
+    events = require('events'),
+    zlib = require('zlib'),
+    transform = require('stream-transform'),
+    stream = require('stream'),
+    postalSchema = require('../data/postal-schema.json');
 
 /** @module geolistic */
 var Geolistic = (function () {
@@ -74,6 +82,74 @@ var Geolistic = (function () {
                 "timezone": 17,
                 "modDate": 18
             },
+            /**
+             * Elastic mapping of the location document fields, data/schema.json is generated from it (see getSchema())
+             *
+             * @const module:geolistic.geonameFieldMappings
+             * @private
+             * @type {Object}
+             * @see  module:geolistic.getSchema
+             */
+            geonameFieldMappings: {
+                "geonameId": {"type": "long"},
+                "name": {"type": "text", "fields": {"keyword": {"type": "keyword"}}},
+                "asciiName": {"type": "text", "fields": {"keyword": {"type": "keyword"}}},
+                "alternateNames": {"type": "text", "fields": {"keyword": {"type": "keyword"}}},
+                "latitude": {"type": "float"},
+                "longitude": {"type": "float"},
+                "location": {"type": "geo_point"},
+                "suggest": {"type": "completion", "contexts": [
+                    {"name": "country", "type": "category"},
+                    {"name": "featureClass", "type": "category"},
+                    {"name": "countryFeatureClass", "type": "category"}
+                ]},
+                "featureClass": {"type": "keyword"},
+                "featureCode": {"type": "keyword"},
+                "country": {"type": "keyword"},
+                "cc2": {"type": "keyword"},
+                "admin1": {"type": "keyword"},
+                "admin2": {"type": "keyword"},
+                "admin3": {"type": "keyword"},
+                "admin4": {"type": "keyword"},
+                "countryName": {"type": "text", "fields": {"keyword": {"type": "keyword"}}},
+                "admin1Name": {"type": "text", "fields": {"keyword": {"type": "keyword"}}},
+                "admin2Name": {"type": "text", "fields": {"keyword": {"type": "keyword"}}},
+                "population": {"type": "long"},
+                "elevation": {"type": "long"},
+                "dem": {"type": "long"},
+                "timezone": {"type": "text", "fields": {"keyword": {"type": "keyword"}}},
+                "modDate": {"type": "date"},
+                "names": {"type": "object"},
+                "preferredNames": {"type": "object"},
+                "shortNames": {"type": "object"},
+                "historicNames": {"type": "object"},
+                "nameVariants": {"type": "object", "enabled": false}
+            },
+            // mapping of the per language keys of name fields, e.g. names.de (dynamic templates)
+            geonameLanguageFieldMappings: {
+                "names": {"type": "text", "fields": {"keyword": {"type": "keyword"}}},
+                "historicNames": {"type": "text"},
+                "preferredNames": {"type": "text", "fields": {"keyword": {"type": "keyword"}}},
+                "shortNames": {"type": "text", "fields": {"keyword": {"type": "keyword"}}}
+            },
+            /**
+             * Fields of geonameLocationMapper that are indexed as numbers
+             *
+             * @const module:geolistic.geonameNumberFields
+             * @private
+             * @type {array}
+             * @see  module:geolistic.addFileToElastic
+             */
+            geonameNumberFields: ['geonameId', 'latitude', 'longitude', 'population', 'elevation', 'dem'],
+            /**
+             * Fields of geonamePostalCodeMapper that are indexed as numbers
+             *
+             * @const module:geolistic.geonamePostalNumberFields
+             * @private
+             * @type {array}
+             * @see  module:geolistic.addPostalFileToElastic
+             */
+            geonamePostalNumberFields: ['latitude', 'longitude', 'accuracy'],
             /**
              * Used by getGeoNameCountries() to map geoname data to JSON documents
              *
@@ -123,9 +199,126 @@ var Geolistic = (function () {
                 "neighbours": 17,
                 "equivalentFipsCode": 18
             },
+            /**
+             * Used by addAlternateNamesToElastic() to map alternateNamesV2 data
+             *
+             * - "alternateNameId"
+             * - "geonameId"
+             * - "isoLanguage"
+             * - "name"
+             * - "isPreferredName"
+             * - "isShortName"
+             * - "isColloquial"
+             * - "isHistoric"
+             * - "from"
+             * - "to"
+             *
+             * @const module:geolistic.geonameAlternateNameMapper
+             * @private
+             * @type {Object}
+             * @see  module:geolistic.addAlternateNamesToElastic
+             */
+            geonameAlternateNameMapper: {
+                "alternateNameId": 0,
+                "geonameId": 1,
+                "isoLanguage": 2,
+                "name": 3,
+                "isPreferredName": 4,
+                "isShortName": 5,
+                "isColloquial": 6,
+                "isHistoric": 7,
+                "from": 8,
+                "to": 9
+            },
+            /**
+             * Used by addPostalFileToElastic() to map geoname postal code data to elastic schema
+             *
+             * - "country"
+             * - "postalCode"
+             * - "placeName"
+             * - "admin1Name"
+             * - "admin1"
+             * - "admin2Name"
+             * - "admin2"
+             * - "admin3Name"
+             * - "admin3"
+             * - "latitude"
+             * - "longitude"
+             * - "accuracy"
+             *
+             * @const module:geolistic.geonamePostalCodeMapper
+             * @private
+             * @type {Object}
+             * @see  module:geolistic.addPostalFileToElastic
+             */
+            geonamePostalCodeMapper: {
+                "country": 0,
+                "postalCode": 1,
+                "placeName": 2,
+                "admin1Name": 3,
+                "admin1": 4,
+                "admin2Name": 5,
+                "admin2": 6,
+                "admin3Name": 7,
+                "admin3": 8,
+                "latitude": 9,
+                "longitude": 10,
+                "accuracy": 11
+            },
+            // pseudo languages in alternate names that are links/ids rather than names
+            alternateNameSkipLanguages: ['link', 'wkdt'],
+            alternateNamesDir: 'alternatenames',
+            // completion contexts, elastic 7+ rejects suggestions with empty contexts and queries without contexts
+            featureClasses: ['A', 'H', 'L', 'P', 'R', 'S', 'T', 'U', 'V'],
+            suggestEmptyContext: '_none',
+            // files used by addFileToElastic() to look up admin and country names
+            adminFiles: {
+                admin1: 'admin1CodesASCII.txt',
+                admin2: 'admin2Codes.txt',
+                countries: 'countryInfo.txt'
+            },
+            // loaded admin names, cached per dataPath
+            adminNames: null,
+            // daily update files (prefix-YYYY-MM-DD.txt) used by applyDailyUpdates()
+            updateFiles: ['modifications', 'deletes', 'alternateNamesModifications', 'alternateNamesDeletes'],
+            updatesDir: 'updates',
+            updateStateFile: 'geolistic-updates.json',
             geonameDownloadUrl: "http://download.geonames.org/export/dump/%s",
+            geonamePostalDownloadUrl: "http://download.geonames.org/export/zip/%s",
+            // aggregated dump files (e.g. cities500.zip) that can be used instead of a country code
+            geonameDatasets: ['allCountries', 'cities500', 'cities1000', 'cities5000', 'cities15000'],
+            geonamePostalDatasets: ['allCountries'],
+            // etag, last modified, size and checksum of downloaded files, in dataPath
+            manifestFile: 'geolistic-manifest.json',
+            // retries of a failed download, the delay (ms) doubles for each retry
+            downloadRetries: 3,
+            downloadRetryDelay: 1000,
+            // ms without data before a download is aborted and retried
+            downloadTimeout: 60000,
+            // postal code files are also named XX.txt, so they are kept in their own directory
+            postalCodesDir: 'postalcodes',
             elasticIndex: 'geonames',
             elasticType: 'geoname',
+            elasticPostalIndex: 'postalcodes',
+            elasticPostalType: 'postalcode',
+            // formats of createExportStream() and exportLocations()
+            exportFormats: ['geojson', 'ndjson', 'csv'],
+            // columns of csv exports, in order
+            exportCsvFields: ['geonameId', 'name', 'asciiName', 'alternateNames', 'latitude', 'longitude',
+                'featureClass', 'featureCode', 'country', 'cc2', 'admin1', 'admin2', 'admin3', 'admin4',
+                'population', 'elevation', 'dem', 'timezone', 'modDate', 'countryName', 'admin1Name', 'admin2Name'],
+            // retries of failed bulk requests and items, the delay (ms) doubles for each retry
+            bulkRetries: 3,
+            bulkRetryDelay: 500,
+            bulkRetryStatus: [429, 502, 503, 504],
+            // where imports append documents elastic rejected, in dataPath
+            deadLetterFile: 'geolistic-failed.ndjson',
+            // field selection and renames of location documents, see setFields()
+            fields: null,
+            // hook to modify or skip location documents, see setTransform()
+            transform: null,
+            // major version of the elastic cluster, detected before the first request (see helperBeforeRequest)
+            elasticVersion: null,
             dataPath: os.tmpdir()
         };
 
@@ -134,576 +327,5913 @@ var Geolistic = (function () {
      */
 
     /**
-     * -------------------  PUBLIC  -------------------
+     * Name of the data file of a country code or dataset, e.g. "NO" for "no" and "cities500" for "Cities500"
+     *
+     * @function module:geolistic.helperDatasetName
+     * @private
+     * @param {string} countryCode - iso code of country or dataset name
+     * @param {array} datasets - valid dataset names
+     * @returns {string|null} file name without extension, or null if not valid
      */
+    function helperDatasetName(countryCode, datasets) {
+
+        if (!countryCode || typeof countryCode !== 'string') {
+            return null;
+        }
+
+        if (countryCode.length === 2) {
+            return countryCode.toLocaleUpperCase();
+        }
+
+        return datasets.filter(function (dataset) {
+            return dataset.toLowerCase() === countryCode.toLowerCase();
+        })[0] || null;
+
+    }
 
     /**
-     * Set/update config
+     * Make sure a callback is called once at most, e.g. when several streams can fail
      *
-     * Can be used to provide db information after init but before calling
-     * db dependent methods
-     *
-     * - **elasticPath** {string}: index/type path in elastic, e.g. "geonames/geoname"
-     * - **elasticClient** {Object}: live connection object to elastic using https://www.npmjs.com/package/elasticsearch
-     * - **dataPath** {string}: local path to download data files
+     * @function module:geolistic.helperOnce
+     * @private
+     * @param {requestCallback} [cb] - callback
+     * @returns {requestCallback} callback that ignores later calls (and a missing cb)
+     */
+    function helperOnce(cb) {
+
+        var isCalled = false;
+
+        return function () {
+
+            if (isCalled || !cb) {
+                return;
+            }
+
+            isCalled = true;
+            cb.apply(null, arguments);
+
+        };
+
+    }
+
+    /**
+     * Let an async api method return a Promise when it is called without callback
      *
-     * @example
-     * geolistic.config({elasticClient: client});
+     * The callback is always the last argument, so trailing undefined arguments are
+     * dropped before it is added, e.g. for search('Wien', undefined).
      *
-     * @function module:geolistic.config
-     * @param {object} data - configuration options (see above)
-     * @throws if error in options or unknown option keys
+     * @function module:geolistic.helperPromisify
+     * @private
+     * @param {function} fn - api method taking a callback(err, data) as last argument
+     * @returns {function} method returning a Promise if no callback is given
      */
-    api.config = function(data) {
+    function helperPromisify(fn) {
 
-        var result;
+        return function () {
 
-        for (var key in data) {
+            const that = this;
 
-            switch (key) {
-                case 'elasticPath':
-                    api.setElasticPath(data[key]);
-                    break;
-                case 'elasticClient':
-                    api.setElasticClient(data[key]);
-                    break;
-                case 'dataPath':
-                    api.setDataPath(data[key]);
-                    break;
-                default:
-                    throw new Error("Unknown config key '" + key + "'");
-                    break;
+            var args = Array.prototype.slice.call(arguments);
+
+            if (typeof args[args.length - 1] === 'function') {
+                return fn.apply(that, args);
             }
 
-        }
+            while (args.length && args[args.length - 1] === undefined) {
+                args.pop();
+            }
 
-    };
+            return new Promise(function (resolve, reject) {
+
+                args.push(function (err, data) {
+
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(data);
+                    }
+
+                });
+
+                fn.apply(that, args);
+
+            });
+
+        };
+
+    }
 
     /**
-     * Module constructor, you only need to use it if you want to change the default
-     * configuration
+     * Emit an event on a job created with createJob(), if one is given
      *
-     * @example
-     * const geolistic = require('geolistic').init({dataPath: '/var/tmp/'});
-     *
-     * @example
-     * const geolistic = require('geolistic');
+     * Errors are only emitted if the job has error listeners, they are passed to the callback anyway.
      *
-     * @constructor
-     * @function module:geolistic.init
-     * @param {Object} data - configuration options (see config())
-     * @returns {Object} module - returns the public api of the module
-     * @throws if error in options or unknown option keys
+     * @function module:geolistic.helperJobEmit
+     * @private
+     * @param {EventEmitter|null} job - job to emit on
+     * @param {string} event - start, progress, countryDone, warning or error
+     * @param {*} data - event data
      */
-    api.init  = function(data) {
+    function helperJobEmit(job, event, data) {
 
-        api.config(data);
+        if (!job || (event === 'error' && !job.listenerCount('error'))) {
+            return;
+        }
 
-        return Geolistic;
+        job.emit(event, data);
 
-    };
+    }
 
     /**
-     * Set path to where downloaded files should be stored
+     * Elapsed time, rate and estimated time left of a job
      *
-     * Defaults to os.tmpdir()
+     * @function module:geolistic.helperJobRate
+     * @private
+     * @param {number} started - start time in ms
+     * @param {number} count - records or bytes done, for the rate
+     * @param {number} bytes - bytes done
+     * @param {number|null} bytesTotal - total bytes, if known
+     * @returns {Object} elapsed (seconds), rate (count per second) and eta (seconds, null if unknown)
+     */
+    function helperJobRate(started, count, bytes, bytesTotal) {
+
+        const elapsed = (Date.now() - started) / 1000;
+
+        return {
+            elapsed: elapsed,
+            rate: (elapsed ? Math.round(count / elapsed) : 0),
+            eta: (bytes && bytesTotal && bytesTotal >= bytes ? Math.round(elapsed * (bytesTotal - bytes) / bytes) : null)
+        };
+
+    }
+
+    /**
+     * Report an import of a record stream on a job, see createJob()
      *
-     * @example
-     * geolistic.setDataPath("/tmp/");
+     * Emits start at once, progress after each buffer, a warning for each invalid record
+     * and for records rejected by elastic, and countryDone or error when done.
      *
-     * @function module:geolistic.setDataPath
-     * @param {string} pathParam - local path, e.g. "/tmp/"
-     * @throws if error in parameter
+     * @function module:geolistic.helperImportJob
+     * @private
+     * @param {EventEmitter|null} job - job to report on
+     * @param {string} country - country code or source being imported
+     * @param {stream.Readable} recordStream - stream of the records, see helperRecordStream()
+     * @param {function} [fnBufferAdded] - bufferAdded hook of the options
+     * @returns {Object} bufferAdded(records) hook for helperIndexStream() and done(err, result) to call when finished
      */
-    api.setDataPath = function (pathParam) {
+    function helperImportJob(job, country, recordStream, fnBufferAdded) {
+
+        const started = Date.now();
+
+        helperJobEmit(job, 'start', {type: 'import', country: country});
+
+        if (job) {
+
+            recordStream.on('invalid', function (reason, location) {
+
+                helperJobEmit(job, 'warning', {type: 'import', country: country,
+                    message: "Invalid record " + (location.geonameId === undefined ? location.postalCode :
+                        location.geonameId) + ": " + reason});
+
+            });
 
-        if (typeof pathParam !== 'string') {
-            throw new Error("Path is not a valid string");
         }
 
-        local.dataPath = pathParam;
+        return {
+            bufferAdded: function (records) {
 
-    };
+                (fnBufferAdded ? fnBufferAdded(records) : null);
+
+                helperJobEmit(job, 'progress', Object.assign({
+                    type: 'import',
+                    country: country,
+                    records: records,
+                    bytes: recordStream.bytesProcessed,
+                    bytesTotal: recordStream.bytesTotal
+                }, helperJobRate(started, records, recordStream.bytesProcessed, recordStream.bytesTotal)));
+
+            },
+            done: function (err, result) {
+
+                if (err) {
+                    helperJobEmit(job, 'error', err);
+                    return;
+                }
+
+                if (result.failed) {
+                    helperJobEmit(job, 'warning', {type: 'import', country: country,
+                        message: result.failed + " records were rejected by elastic"});
+                }
+
+                helperJobEmit(job, 'countryDone', {type: 'import', country: country, result: result});
+
+            }
+        };
+
+    }
 
     /**
-     * Set where documents should be stored in elastic in the form of "index/type"
-     *
-     * Defaults to "geonames/geoname", i.e. index "geonames" and type (schema) "geoname"
-     *
-     * @example
-     * geolistic.setElasticPath("geonames/geoname");
+     * Split and validate an elastic path in the form of "index/type"
      *
-     * @function module:geolistic.setElasticPath
+     * @function module:geolistic.helperParseElasticPath
+     * @private
      * @param {string} pathParam - "index/type"
+     * @param {string} name - name of the option, used in error messages
+     * @returns {array} index and type
      * @throws if error in parameter
      */
-    api.setElasticPath = function (pathParam) {
+    function helperParseElasticPath(pathParam, name) {
 
         if (typeof pathParam !== 'string') {
-            throw new Error("elasticPath is not a valid string");
+            throw new Error(name + " is not a valid string");
         }
 
         var elasticPath = pathParam.split('/');
 
         if (elasticPath.length !== 2) {
 
-            throw new Error("elasticPath must be in the form of 'index/type'");
+            throw new Error(name + " must be in the form of 'index/type'");
 
         } else if (elasticPath[0].length < 1 || elasticPath[1].length < 1) {
 
             throw new Error("Index or Type should not be empty");
 
-        } else {
-
-            local.elasticIndex = elasticPath[0];
-            local.elasticPath = elasticPath[1];
-
         }
 
-    };
+        return elasticPath;
+
+    }
 
     /**
-     * Set connection object to elastic using client library https://www.npmjs.com/package/elasticsearch
-     *
-     * Are only used if you call methods that need to access elastic. You can use other library
-     * methods without providing a connection
+     * Type to use in requests to elastic, elastic 7 and later is typeless
      *
-     * @example
-     * geolistic.setElasticPath("geonames/geoname");
+     * @function module:geolistic.helperType
+     * @private
+     * @param {string} type - configured type
+     * @returns {string|undefined} type, or undefined for typeless clusters
+     */
+    function helperType(type) {
+
+        return (local.elasticVersion >= 7 ? undefined : type);
+
+    }
+
+    /**
+     * Detect the major version of the elastic cluster, cached until the client changes
      *
-     * @function module:geolistic.setElasticClient
-     * @param {Object} dbClient - elastic connection object
-     * @throws if error in parameter
+     * @function module:geolistic.helperElasticVersion
+     * @private
+     * @param {requestCallback} cb - callback(err, version)
      */
-    api.setElasticClient = function (dbClient) {
+    function helperElasticVersion(cb) {
 
-        if (typeof dbClient !== 'object') {
-            throw new Error("elasticClient is not a valid object");
+        if (!local.client) {
+            cb(new Error("No db connection to elastic"));
+            return;
         }
 
-        local.client = dbClient;
+        if (local.elasticVersion) {
+            cb(null, local.elasticVersion);
+            return;
+        }
 
-    };
+        local.client.info({}, function (err, info) {
+
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            local.elasticVersion = parseInt(info.version.number, 10);
+            cb(null, local.elasticVersion);
+
+        });
+
+    }
 
     /**
-     * Get GeoName's country list from http://download.geonames.org/export/dump/countryInfo.txt
+     * Detect the elastic version before the first request of a method, so requests have the right type (see helperType)
      *
-     * Options:
-     * - **allColoumns** {boolean}: return [all coloumns](#.geonameCountryMapper) (defaults to only iso-codes)
-     *
-     * Callback:
-     * - **data** {array}: ISO codes of countries or array of JSON objects for each country
-     * @see module:geolistic.geonameCountryMapper
+     * @function module:geolistic.helperBeforeRequest
+     * @private
+     * @param {boolean} testMode - test mode uses helperTestClient(), which needs no version
+     * @param {requestCallback} cb - callback(err)
+     */
+    function helperBeforeRequest(testMode, cb) {
+
+        if (testMode) {
+            cb(null);
+            return;
+        }
+
+        helperElasticVersion(function (err) {
+
+            cb(err);
+
+        });
+
+    }
+
+    /**
+     * Mapping for the detected elastic version, typeless for elastic 7 and later
      *
-     * @function module:geolistic.getGeoNameCountries
-     * @param {requestCallback|Object} optionsOrCb - callback or options
-     * @param {requestCallback} cb - callback(err, data)
+     * @function module:geolistic.helperMapping
+     * @private
+     * @param {boolean} postalCodes - mapping for postal codes instead of locations
+     * @returns {Object} mappings
      */
-    api.getGeoNameCountries = function(optionsOrCb, cb) {
+    function helperMapping(postalCodes) {
 
-        if (typeof optionsOrCb === 'function') {
-            cb = optionsOrCb;
-            optionsOrCb = {};
+        const schema = (postalCodes ? postalSchema : api.getSchema()),
+            mapping = schema.mappings[Object.keys(schema.mappings)[0]];
+
+        var mappings = {};
+
+        if (local.elasticVersion >= 7) {
+            return mapping;
         }
 
-        const that = this,
-            allColoumns = optionsOrCb.allColoumns || false;
+        mappings[postalCodes ? local.elasticPostalType : local.elasticType] = mapping;
+        return mappings;
 
-        var countries,
-            parser,
-            transformer;
+    }
 
+    /**
+     * Compare the fields of a mapping with the fields of an existing index
+     *
+     * @function module:geolistic.helperMappingDrift
+     * @private
+     * @param {Object} expected - mapping from helperMapping()
+     * @param {Object} actual - mapping of the index (without type)
+     * @returns {array} differences, e.g. "'population' is text, expected long"
+     */
+    function helperMappingDrift(expected, actual) {
 
-        const downloadUrl = local.geonameDownloadUrl.replace("%s", "countryInfo.txt");
+        var drift = [];
 
-        countries = [];
-        parser = parse({delimiter: "\t"});
+        if (!expected.properties) {
+            // mapping with type (elastic < 7)
+            expected = expected[Object.keys(expected)[0]];
+        }
 
-        transformer = transform(function(record, callback) {
+        (function compare(expectedProperties, actualProperties, prefix) {
 
-            if (!record[0].startsWith('#')) {
+            for (var field in expectedProperties) {
 
-                countries.push((allColoumns ? record : record[0]));
+                var expectedType = expectedProperties[field].type || 'object',
+                    actualField = actualProperties[field];
+
+                if (!actualField) {
+                    drift.push("'" + prefix + field + "' is missing");
+                    continue;
+                }
+
+                if ((actualField.type || 'object') !== expectedType) {
+                    drift.push("'" + prefix + field + "' is " + (actualField.type || 'object') + ", expected " + expectedType);
+                    continue;
+                }
+
+                if (expectedProperties[field].properties) {
+                    compare(expectedProperties[field].properties, actualField.properties || {}, prefix + field + '.');
+                }
 
             }
-            callback();
 
-        }, {parallel: 10});
+        })(expected.properties || {}, actual.properties || {}, '');
+
+        return drift;
 
-        download(downloadUrl).pipe(parser).pipe(transformer);
+    }
+
+    /**
+     * Indices an alias points to
+     *
+     * @function module:geolistic.helperAliasIndices
+     * @private
+     * @param {string} alias - alias name
+     * @param {requestCallback} cb - callback(err, indices)
+     */
+    function helperAliasIndices(alias, cb) {
+
+        local.client.indices.getAlias({name: alias}, function (err, response) {
+
+            if (err && err.status === 404) {
+
+                // no alias yet, but an index with the same name blocks creating it
+                local.client.indices.exists({index: alias}, function (err, exists) {
+
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+
+                    if (exists) {
+                        cb(new Error("'" + alias + "' is an index, not an alias. Delete it or use another " +
+                            "elasticPath before using versioned indices"));
+                        return;
+                    }
+
+                    cb(null, []);
+
+                });
+
+                return;
+
+            }
+
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            cb(null, Object.keys(response));
+
+        });
+
+    }
+
+    /**
+     * Send a bulk body to elastic and translate missing index/type errors
+     *
+     * @function module:geolistic.helperBulk
+     * @private
+     * @param {Object} client - elastic client (or test mockup)
+     * @param {array} body - bulk body with action and document lines
+     * @param {requestCallback} cb - callback(err, result)
+     */
+    function helperBulk(client, body, cb) {
+
+        if (!client) {
+            cb(new Error("No db connection to elastic"));
+            return;
+        }
+
+        client.bulk({
+            body: body
+        }, function(err, result) {
+
+            if (err && err.message) {
+
+                var errorMessage = "",
+                    isIndex = false,
+                    isType = false;
+
+                if (err.message.indexOf("index is missing") !== -1) {
+                    isIndex = true;
+                }
+                if (err.message.indexOf("type is missing") !== -1) {
+                    isType = true;
+                }
+
+                if (isIndex || isType) {
+                    errorMessage = "Missing schema in elastic:";
+                    if (isIndex) {
+                        errorMessage += " ['" + local.elasticIndex + "' no such index]";
+                    }
+                    if (isType) {
+                        errorMessage += " ['" + local.elasticType + "' no such type]";
+                    }
+                }
+
+                if (errorMessage) {
+                    err = new Error(errorMessage);
+                }
+            }
+
+            cb(err, result);
+
+        });
+
+    }
+
+    /**
+     * Check if a failed bulk request or bulk item can succeed when sent again
+     *
+     * @function module:geolistic.helperRetriable
+     * @private
+     * @param {number} [status] - http status of the request or item
+     * @param {Error} [err] - request error
+     * @returns {boolean} true for overload (429), gateway and timeout errors
+     */
+    function helperRetriable(status, err) {
+
+        return local.bulkRetryStatus.indexOf(status) !== -1 ||
+            !!(err && (err.displayName === 'RequestTimeout' || err.displayName === 'NoConnections'));
+
+    }
+
+    /**
+     * Group a bulk body into operations, an action line with its document (delete has no document)
+     *
+     * @function module:geolistic.helperBulkOperations
+     * @private
+     * @param {array} body - bulk body
+     * @returns {array} operations, arrays of one or two lines in the order of the bulk response items
+     */
+    function helperBulkOperations(body) {
+
+        var operations = [],
+            i = 0;
+
+        while (i < body.length) {
+
+            if (body[i].delete) {
+                operations.push([body[i]]);
+                i += 1;
+            } else {
+                operations.push([body[i], body[i + 1]]);
+                i += 2;
+            }
+
+        }
+
+        return operations;
+
+    }
+
+    /**
+     * Send a bulk request and retry what failed with a retriable error, with exponential backoff
+     *
+     * The request is retried as a whole on overload or timeout, otherwise only the failed items.
+     * Items that fail with other errors, or still fail after the retries, are passed to the callback.
+     *
+     * Options:
+     * - **retries** {number}: Retries of a failed request or item. Defaults to 3
+     * - **retryDelay** {number}: Milliseconds before the first retry, doubled for each retry. Defaults to 500
+     *
+     * @function module:geolistic.helperBulkRetry
+     * @private
+     * @param {Object} client - elastic client
+     * @param {array} body - bulk body
+     * @param {Object} options - see above
+     * @param {requestCallback} cb - callback(err, failed) with failed items {action, document, status, error}
+     */
+    function helperBulkRetry(client, body, options, cb) {
+
+        const retries = (options.retries === undefined ? local.bulkRetries : options.retries),
+            retryDelay = (options.retryDelay === undefined ? local.bulkRetryDelay : options.retryDelay);
+
+        var failed = [];
+
+        (function sendOperations(operations, tries) {
+
+            var retry = [];
+
+            function helperRetry(retryOperations) {
+
+                setTimeout(function () {
+
+                    sendOperations(retryOperations, tries + 1);
+
+                }, retryDelay * Math.pow(2, tries));
+
+            }
+
+            helperBulk(client, [].concat.apply([], operations), function (err, result) {
+
+                if (err) {
+
+                    if (tries < retries && helperRetriable(err.status || err.statusCode, err)) {
+                        helperRetry(operations);
+                        return;
+                    }
+
+                    cb(err);
+                    return;
+
+                }
+
+                if (result && result.errors && result.items) {
+
+                    result.items.forEach(function (item, i) {
+
+                        const itemResult = item[Object.keys(item)[0]];
+
+                        if (!itemResult.error) {
+                            return;
+                        }
+
+                        if (tries < retries && helperRetriable(itemResult.status)) {
+
+                            retry.push(operations[i]);
+
+                        } else {
+
+                            failed.push({action: operations[i][0], document: operations[i][1] || null,
+                                status: itemResult.status, error: itemResult.error});
+
+                        }
+
+                    });
+
+                }
+
+                if (retry.length) {
+                    helperRetry(retry);
+                    return;
+                }
+
+                cb(null, failed);
+
+            });
+
+        })(helperBulkOperations(body), 0);
+
+    }
+
+    /**
+     * Append failed bulk items to a dead-letter file, one JSON object per line
+     *
+     * @function module:geolistic.helperDeadLetter
+     * @private
+     * @param {string} file - path to dead-letter file
+     * @param {array} failed - failed items from helperBulkRetry()
+     * @param {requestCallback} cb - callback(err)
+     */
+    function helperDeadLetter(file, failed, cb) {
+
+        if (!failed.length) {
+            cb(null);
+            return;
+        }
+
+        fs.appendFile(file, failed.map(function (item) {
+            return JSON.stringify(item);
+        }).join('\n') + '\n', cb);
+
+    }
+
+    /**
+     * Name of a location field in elastic, after the field selection and renames of setFields()
+     *
+     * @function module:geolistic.helperFieldName
+     * @private
+     * @param {string} field - field of the location document, e.g. "population"
+     * @returns {string|null} field name in elastic, or null if the field is left out
+     */
+    function helperFieldName(field) {
+
+        const fields = local.fields;
+
+        if (!fields) {
+            return field;
+        }
+
+        if (fields.map.hasOwnProperty(field)) {
+            return fields.map[field];
+        }
+
+        return (fields.only ? null : field);
+
+    }
+
+    /**
+     * Select and rename the fields of a document as configured with setFields()
+     *
+     * @function module:geolistic.helperApplyFields
+     * @private
+     * @param {Object} document - location or name fields document
+     * @returns {Object} document for elastic
+     */
+    function helperApplyFields(document) {
+
+        var output = {},
+            name;
+
+        if (!local.fields) {
+            return document;
+        }
+
+        for (var key in document) {
+
+            name = helperFieldName(key);
+
+            if (name !== null) {
+                output[name] = document[key];
+            }
+
+        }
+
+        return output;
+
+    }
+
+    /**
+     * Turn a location into the document stored in elastic, with the completion field (see helperSuggest),
+     * the transform hook and fields of the config
+     *
+     * @function module:geolistic.helperDocument
+     * @private
+     * @param {Object} location - location from helperMapLocation()
+     * @returns {Object|null} document, or null if the transform hook skips the location
+     */
+    function helperDocument(location) {
+
+        var document = Object.assign({}, location, {suggest: helperSuggest(location)});
+
+        document = (local.transform ? local.transform(document) : document);
+
+        return (document ? helperApplyFields(document) : null);
+
+    }
+
+    /**
+     * Map a geoname record (array of columns) to a location document
+     *
+     * Empty columns become null, [numeric fields](#.geonameNumberFields) are numbers,
+     * alternateNames is an array and location is a {lat, lon} geo point.
+     * Columns that are not valid numbers are kept as strings, see helperValidateLocation.
+     *
+     * @function module:geolistic.helperMapLocation
+     * @private
+     * @param {array} record - columns as in geonameLocationMapper
+     * @param {Object|null} adminNames - lookup from helperLoadAdminNames(), or null to skip names
+     * @returns {Object} location document
+     */
+    function helperMapLocation(record, adminNames) {
+
+        var location = {},
+            value;
+
+        for (var key in local.geonameLocationMapper) {
+
+            value = record[local.geonameLocationMapper[key]];
+            value = (value === undefined || value.trim() === '' ? null : value);
+
+            if (value !== null && local.geonameNumberFields.indexOf(key) !== -1 && isFinite(value)) {
+                value = +value;
+            }
+
+            location[key] = value;
+
+        }
+
+        location.alternateNames = (location.alternateNames ? location.alternateNames.split(',') : []);
+        location.location = {lat: location.latitude, lon: location.longitude};
+
+        if (adminNames) {
+            location.countryName = adminNames.countries[location.country] || null;
+            location.admin1Name = adminNames.admin1[location.country + '.' + location.admin1] || null;
+            location.admin2Name = adminNames.admin2[location.country + '.' + location.admin1 + '.' +
+                location.admin2] || null;
+        }
+
+        return location;
+
+    }
+
+    /**
+     * Check a mapped location before it is indexed or exported
+     *
+     * @function module:geolistic.helperValidateLocation
+     * @private
+     * @param {Object} location - location from helperMapLocation()
+     * @returns {string|null} reason the location is invalid, or null if it is valid
+     */
+    function helperValidateLocation(location) {
+
+        const numberFields = local.geonameNumberFields;
+
+        for (var i = 0; i < numberFields.length; i += 1) {
+
+            if (location[numberFields[i]] !== null && typeof location[numberFields[i]] !== 'number') {
+                return numberFields[i] + " '" + location[numberFields[i]] + "' is not a number";
+            }
+
+        }
+
+        if (location.geonameId === null) {
+            return "Missing geonameId";
+        }
+        if (location.name === null) {
+            return "Missing name";
+        }
+        if (location.latitude === null || location.latitude < -90 || location.latitude > 90) {
+            return "Invalid latitude '" + location.latitude + "'";
+        }
+        if (location.longitude === null || location.longitude < -180 || location.longitude > 180) {
+            return "Invalid longitude '" + location.longitude + "'";
+        }
+
+        return null;
+
+    }
+
+    /**
+     * Map a postal code record (array of columns) to a postal code document
+     *
+     * Empty columns become null, [numeric fields](#.geonamePostalNumberFields) are numbers
+     * and location is a {lat, lon} geo point. Columns that are not valid numbers are kept
+     * as strings, see helperValidatePostalCode.
+     *
+     * @function module:geolistic.helperMapPostalCode
+     * @private
+     * @param {array} record - columns as in geonamePostalCodeMapper
+     * @returns {Object} postal code document
+     */
+    function helperMapPostalCode(record) {
+
+        var postalCode = {},
+            value;
+
+        for (var key in local.geonamePostalCodeMapper) {
+
+            value = record[local.geonamePostalCodeMapper[key]];
+            value = (value === undefined || value.trim() === '' ? null : value);
+
+            if (value !== null && local.geonamePostalNumberFields.indexOf(key) !== -1 && isFinite(value)) {
+                value = +value;
+            }
+
+            postalCode[key] = value;
+
+        }
+
+        postalCode.location = {lat: postalCode.latitude, lon: postalCode.longitude};
+
+        return postalCode;
+
+    }
+
+    /**
+     * Check a mapped postal code before it is indexed
+     *
+     * @function module:geolistic.helperValidatePostalCode
+     * @private
+     * @param {Object} postalCode - postal code from helperMapPostalCode()
+     * @returns {string|null} reason the postal code is invalid, or null if it is valid
+     */
+    function helperValidatePostalCode(postalCode) {
+
+        const numberFields = local.geonamePostalNumberFields;
+
+        for (var i = 0; i < numberFields.length; i += 1) {
+
+            if (postalCode[numberFields[i]] !== null && typeof postalCode[numberFields[i]] !== 'number') {
+                return numberFields[i] + " '" + postalCode[numberFields[i]] + "' is not a number";
+            }
+
+        }
+
+        if (postalCode.country === null) {
+            return "Missing country";
+        }
+        if (postalCode.postalCode === null) {
+            return "Missing postalCode";
+        }
+        if (postalCode.latitude === null || postalCode.latitude < -90 || postalCode.latitude > 90) {
+            return "Invalid latitude '" + postalCode.latitude + "'";
+        }
+        if (postalCode.longitude === null || postalCode.longitude < -180 || postalCode.longitude > 180) {
+            return "Invalid longitude '" + postalCode.longitude + "'";
+        }
+
+        return null;
+
+    }
+
+    /**
+     * Completion suggester input for a location, weighted by population so larger places are suggested first
+     *
+     * The country and feature class contexts are part of the field, so locations without them
+     * (e.g. in allCountries) get a placeholder context instead of being rejected by elastic
+     *
+     * @function module:geolistic.helperSuggest
+     * @private
+     * @param {Object} location - mapped location
+     * @returns {Object} suggest field with input, weight and contexts
+     */
+    function helperSuggest(location) {
+
+        var input = [location.name];
+
+        if (location.asciiName && location.asciiName !== location.name) {
+            input.push(location.asciiName);
+        }
+
+        const country = location.country || local.suggestEmptyContext,
+            featureClass = location.featureClass || local.suggestEmptyContext;
+
+        // weight must be a positive integer. elastic ORs the contexts of different mappings in a query,
+        // so filtering on country and feature class at once needs their combination, e.g. "NO_P"
+        return {input: input,
+            weight: Math.min(parseInt(location.population, 10) || 0, 2147483647),
+            contexts: {
+                country: [country],
+                featureClass: [featureClass],
+                countryFeatureClass: [country + '_' + featureClass]
+            }};
+
+    }
+
+    /**
+     * Map an alternate name record (array of columns) to an object with boolean flags
+     *
+     * @function module:geolistic.helperMapAlternateName
+     * @private
+     * @param {array} record - columns as in geonameAlternateNameMapper
+     * @returns {Object} alternate name
+     */
+    function helperMapAlternateName(record) {
+
+        const mapper = local.geonameAlternateNameMapper;
+
+        return {
+            alternateNameId: record[mapper["alternateNameId"]],
+            isoLanguage: record[mapper["isoLanguage"]],
+            name: record[mapper["name"]],
+            isPreferredName: record[mapper["isPreferredName"]] === '1',
+            isShortName: record[mapper["isShortName"]] === '1',
+            isColloquial: record[mapper["isColloquial"]] === '1',
+            isHistoric: record[mapper["isHistoric"]] === '1',
+            from: record[mapper["from"]] || null,
+            to: record[mapper["to"]] || null
+        };
+
+    }
+
+    /**
+     * Mockup elastic client used in test mode (country "00")
+     *
+     * @function module:geolistic.helperTestClient
+     * @private
+     * @returns {Object} client that accepts all bulk requests
+     */
+    function helperTestClient() {
+
+        return {bulk: function (input, fn) {
+
+            fn(null, null);
+
+        }};
+
+    }
+
+    /**
+     * Stream the data of one file in a zip, without extracting the zip to disk
+     *
+     * Zip data is written to the stream and the (inflated) data of the entry is read from it.
+     * Entries are found by their local headers, so the zip is read front to back while it is
+     * downloaded. Data after the entry is ignored. The bytesTotal property of the stream is the
+     * size of the file once its header is read (if the zip has it). Entries before it without
+     * their size in the header are skipped up to the data descriptor that follows their data.
+     *
+     * @function module:geolistic.helperZipEntryStream
+     * @private
+     * @param {string} entryName - name of the file in the zip, e.g. "AT.txt"
+     * @returns {stream.Transform} zip data in, file data out
+     */
+    function helperZipEntryStream(entryName) {
+
+        var buffer = Buffer.alloc(0),
+            state = 'header',
+            skipBytes = 0,
+            entryBytes = null,
+            inflater = null,
+            inflated = false;
+
+        const descriptorSignature = Buffer.from([0x50, 0x4b, 0x07, 0x08]);
+
+        // zip64 stores the sizes in an extra field (id 1), uncompressed (0) and compressed (1) size
+        function helperZip64Size(extra, sizeIndex) {
+
+            for (var offset = 0; offset + 4 <= extra.length; offset += 4 + extra.readUInt16LE(offset + 2)) {
+
+                if (extra.readUInt16LE(offset) === 1 && offset + 20 <= extra.length) {
+                    return Number(extra.readBigUInt64LE(offset + 4 + sizeIndex * 8));
+                }
+
+            }
+
+            return null;
+
+        }
+
+        // length of the data descriptor at offset (32 bit or zip64 sizes) if it follows compressedBytes
+        // of data and is followed by the next header, 0 if not
+        function helperDescriptorLength(offset, compressedBytes) {
+
+            return [16, 24].filter(function (length) {
+
+                return [0x04034b50, 0x02014b50].indexOf(buffer.readUInt32LE(offset + length)) !== -1 &&
+                    buffer.readUInt32LE(offset + 8) === compressedBytes % 0x100000000 &&
+                    (length === 16 || buffer.readUInt32LE(offset + 12) === Math.floor(compressedBytes / 0x100000000));
+
+            })[0] || 0;
+
+        }
+
+        function helperInflated(cb) {
+
+            if (!inflater || inflated) {
+                cb();
+                return;
+            }
+
+            inflater.once('end', function () {
+
+                cb();
+
+            });
+
+        }
+
+        const entryStream = new stream.Transform({
+
+            transform: function (chunk, encoding, callback) {
+
+                var headerLength,
+                    descriptorLength,
+                    offset,
+                    flags,
+                    method,
+                    name,
+                    data;
+
+                if (state === 'done') {
+                    callback();
+                    return;
+                }
+
+                buffer = Buffer.concat([buffer, chunk]);
+
+                while (true) {
+
+                    if (state === 'skip') {
+
+                        data = buffer.slice(0, skipBytes);
+                        buffer = buffer.slice(data.length);
+                        skipBytes -= data.length;
+
+                        if (skipBytes) {
+                            break;
+                        }
+
+                        state = 'header';
+
+                    }
+
+                    if (state === 'descriptor') {
+
+                        // skipBytes counts the data before the buffer, 28 bytes hold the longest descriptor and the next signature
+                        offset = buffer.indexOf(descriptorSignature);
+                        descriptorLength = 0;
+
+                        while (offset !== -1 && offset + 28 <= buffer.length &&
+                            !(descriptorLength = helperDescriptorLength(offset, skipBytes + offset))) {
+                            offset = buffer.indexOf(descriptorSignature, offset + 1);
+                        }
+
+                        if (!descriptorLength) {
+
+                            // keep what may be the start of a descriptor
+                            offset = (offset === -1 ? Math.max(0, buffer.length - 3) : offset);
+                            skipBytes += offset;
+                            buffer = buffer.slice(offset);
+                            break;
+
+                        }
+
+                        buffer = buffer.slice(offset + descriptorLength);
+                        skipBytes = 0;
+                        state = 'header';
+
+                    }
+
+                    if (state === 'header') {
+
+                        if (buffer.length < 4) {
+                            break;
+                        }
+
+                        if (buffer.readUInt32LE(0) !== 0x04034b50) {
+                            // the central directory follows the last file
+                            callback(new Error("Missing " + entryName + " in zip"));
+                            return;
+                        }
+
+                        if (buffer.length < 30 ||
+                            buffer.length < 30 + buffer.readUInt16LE(26) + buffer.readUInt16LE(28)) {
+                            break;
+                        }
+
+                        flags = buffer.readUInt16LE(6);
+                        method = buffer.readUInt16LE(8);
+                        headerLength = 30 + buffer.readUInt16LE(26) + buffer.readUInt16LE(28);
+                        name = buffer.toString('utf8', 30, 30 + buffer.readUInt16LE(26));
+                        entryBytes = (flags & 8 ? null : buffer.readUInt32LE(18));
+
+                        if (entryBytes === 0xffffffff) {
+                            entryBytes = helperZip64Size(buffer.slice(30 + buffer.readUInt16LE(26), headerLength), 1);
+                        }
+
+                        if (name === entryName && !(flags & 8)) {
+                            entryStream.bytesTotal = (buffer.readUInt32LE(22) === 0xffffffff ?
+                                helperZip64Size(buffer.slice(30 + buffer.readUInt16LE(26), headerLength), 0) :
+                                buffer.readUInt32LE(22));
+                        }
+
+                        buffer = buffer.slice(headerLength);
+
+                        if (name !== entryName) {
+
+                            skipBytes = (entryBytes === null ? 0 : entryBytes);
+                            state = (entryBytes === null ? 'descriptor' : 'skip');
+                            continue;
+
+                        }
+
+                        if (method === 8) {
+
+                            inflater = zlib.createInflateRaw();
+                            inflater.on('data', function (inflatedData) {
+
+                                entryStream.push(inflatedData);
+
+                            });
+                            inflater.on('error', function (err) {
+
+                                entryStream.destroy(err);
+
+                            });
+                            inflater.on('end', function () {
+
+                                inflated = true;
+
+                            });
+
+                        } else if (method !== 0 || entryBytes === null) {
+
+                            callback(new Error("Unsupported compression of " + name + " in zip"));
+                            return;
+
+                        }
+
+                        state = 'entry';
+
+                    }
+
+                    if (state === 'entry') {
+
+                        // without a size in the header, inflate ignores what follows the file
+                        data = (entryBytes === null ? buffer : buffer.slice(0, entryBytes));
+                        buffer = buffer.slice(data.length);
+                        entryBytes = (entryBytes === null ? null : entryBytes - data.length);
+
+                        if (entryBytes === 0) {
+                            state = 'done';
+                            buffer = Buffer.alloc(0);
+                        }
+
+                        if (!inflater) {
+                            this.push(data);
+                        } else if (state === 'done') {
+                            inflater.end(data);
+                            helperInflated(callback);
+                            return;
+                        } else {
+                            inflater.write(data, function () {
+
+                                callback();
+
+                            });
+                            return;
+                        }
+
+                    }
+
+                    break;
+
+                }
+
+                callback();
+
+            },
+
+            flush: function (callback) {
+
+                if (state !== 'entry' && state !== 'done') {
+                    callback(new Error("Missing " + entryName + " in zip"));
+                    return;
+                }
+
+                if (inflater && state === 'entry') {
+                    inflater.end();
+                }
+
+                helperInflated(callback);
+
+            }
+
+        });
+
+        entryStream.bytesTotal = null;
+
+        return entryStream;
+
+    }
+
+    /**
+     * Name of the data file in a zip source, e.g. "AT.txt" for "/tmp/AT.zip" or "http://example.com/dump/AT.zip"
+     *
+     * @function module:geolistic.helperZipSourceEntry
+     * @private
+     * @param {string} source - path or url
+     * @returns {string|null} name of the file in the zip, or null if source is not a .zip path or url
+     */
+    function helperZipSourceEntry(source) {
+
+        const isUrl = (typeof source === 'string' && /^(https?|file):\/\//.test(source));
+
+        if (!isUrl && !(typeof source === 'string' && /\.zip$/i.test(source))) {
+            return null;
+        }
+
+        return path.basename(isUrl ? url.parse(source).pathname : source).replace(/\.zip$/i, '') + '.txt';
+
+    }
+
+    /**
+     * Stream the data file of a zip from a path or url, see helperZipEntryStream()
+     *
+     * Errors of the file or request are emitted on the returned stream.
+     *
+     * @function module:geolistic.helperZipSourceStream
+     * @private
+     * @param {string} source - path or http(s)/file url of the zip
+     * @returns {stream.Readable} data of the file in the zip
+     */
+    function helperZipSourceStream(source) {
+
+        const entryStream = helperZipEntryStream(helperZipSourceEntry(source));
+
+        var input = null;
+
+        function helperPipe(zipInput) {
+
+            input = zipInput;
+
+            if (entryStream.destroyed) {
+                input.destroy();
+                return;
+            }
+
+            input.on('error', function (err) {
+
+                entryStream.destroy(err);
+
+            });
+            input.pipe(entryStream);
+
+        }
+
+        // stop downloading when the consumer gives up the stream
+        entryStream.on('close', function () {
+
+            (input ? input.destroy() : null);
+
+        });
+
+        if (/^(https?|file):\/\//.test(source)) {
+
+            helperRequest(source, {}, function (err, res) {
+
+                if (err) {
+                    entryStream.destroy(err);
+                    return;
+                }
+
+                helperPipe(res);
+
+            });
+
+        } else {
+            helperPipe(fs.createReadStream(source));
+        }
+
+        return entryStream;
+
+    }
+
+    /**
+     * Parse a tab separated data file into an object stream of documents
+     *
+     * The stream counts every parsed record in its recordsProcessed property, also
+     * records skipped by fnDocument, and the bytes read in bytesProcessed (of bytesTotal,
+     * if the size is known). Errors from the file, the parser and fnDocument
+     * are emitted on the returned stream.
+     *
+     * @function module:geolistic.helperRecordStream
+     * @private
+     * @param {string|stream.Readable} inputFile - path to data file, or stream of its data
+     * @param {string} missingFileMessage - error message if the file does not exist, path is appended
+     * @param {function} fnDocument - returns the document for a record, or null to skip it
+     * @param {stream.PassThrough} [output] - object stream to write the documents to, created if not given
+     * @returns {stream.PassThrough} object stream of documents
+     */
+    function helperRecordStream(inputFile, missingFileMessage, fnDocument, output) {
+
+        var input,
+            parser,
+            transformer;
+
+        output = output || new stream.PassThrough({objectMode: true});
+        output.recordsProcessed = output.recordsProcessed || 0;
+        output.bytesProcessed = 0;
+        output.bytesTotal = null;
+
+        parser = parse({delimiter: "\t",
+            quote: '',
+            relax: true,
+            escape: ""});
+        parser.on('error', function (err) {
+
+            output.emit('error', err);
+
+        });
+
+        input = (typeof inputFile === 'string' ? fs.createReadStream(inputFile) : inputFile);
+        input.on('data', function (chunk) {
+
+            output.bytesProcessed += chunk.length;
+            output.bytesTotal = output.bytesTotal || input.bytesTotal || null;
+
+        });
+
+        if (typeof inputFile === 'string') {
+
+            fs.stat(inputFile, function (err, stat) {
+
+                output.bytesTotal = (err ? null : stat.size);
+
+            });
+
+        }
+        input.on('error', function (err) {
+
+            if (err && err.code === 'ENOENT') {
+                err = new Error(missingFileMessage + " at " + err.path);
+            }
+
+            output.emit('error', err);
+
+        });
+
+        transformer = transform(function(record, callback) {
+
+            var document;
+
+            output.recordsProcessed += 1;
+
+            try {
+
+                document = fnDocument(record);
+
+            } catch (err) {
+
+                // errors in hooks must not escape the stream
+                input.unpipe();
+                output.emit('error', err);
+                return;
+
+            }
+
+            (document ? callback(null, document) : callback());
+
+        }, {parallel: 1});
+
+        // stop reading when the consumer gives up the stream
+        output.on('close', function () {
+
+            input.destroy();
+
+        });
+
+        input.pipe(parser).pipe(transformer).pipe(output);
+
+        return output;
+
+    }
+
+    /**
+     * Index an object stream of documents in elastic with buffered bulk requests
+     *
+     * Options:
+     * - **client** {Object}: elastic client
+     * - **bufferRecords** {number}: Buffer x records before indexing in elastic with batch. Defaults to 1000
+     * - **bufferBytes** {number}: Buffer until the bulk body has x bytes instead, bufferRecords is then only applied if given
+     * - **bulkConcurrency** {number}: Bulk requests in flight, parsing waits when all are busy. Defaults to 1
+     * - **bufferAdded** {function}: Hook that is executed after every buffer commit to elastic, recordsProcessed is passed as param
+     * - **retries**, **retryDelay** {number}: see helperBulkRetry()
+     * - **transform** {function}: Returns the document to index for a document, or null to skip it
+     * - **deadLetterFile** {string}: File to append documents to that elastic rejected. Defaults to dataPath/geolistic-failed.ndjson
+     *
+     * @function module:geolistic.helperIndexStream
+     * @private
+     * @param {stream.Readable} recordStream - object stream of documents, see helperRecordStream
+     * @param {Object} options - see above
+     * @param {function} fnAction - returns the bulk action line for a document (before options.transform)
+     * @param {requestCallback} cb - callback(err, {processed, added, failed})
+     */
+    function helperIndexStream(recordStream, options, fnAction, cb) {
+
+        cb = helperOnce(cb);
+
+        const client = options.client,
+            bufferBytes = options.bufferBytes || 0,
+            // with a byte limit, the record limit only applies if it is given
+            bufferRecords = (bufferBytes && !options.bufferRecords ? Infinity : (options.bufferRecords || 1000) * 2),
+            bulkConcurrency = Math.max(options.bulkConcurrency || 1, 1),
+            fnBufferComplete = options.bufferAdded || null,
+            deadLetterFile = options.deadLetterFile || path.join(local.dataPath, local.deadLetterFile);
+
+        var consumer,
+            action,
+            recordsAdded = 0,
+            recordsFailed = 0,
+            output = [],
+            outputBytes = 0,
+            requestsInFlight = 0,
+            fnResume = null,
+            isFinished = false,
+            isFailed = false;
+
+        function helperProcessed() {
+
+            return recordStream.recordsProcessed || recordsAdded;
+
+        }
+
+        function helperResult() {
+
+            return {processed: helperProcessed(), added: recordsAdded - recordsFailed, failed: recordsFailed};
+
+        }
+
+        function helperNext() {
+
+            var fnNext = fnResume;
+
+            if (isFailed) {
+                return;
+            }
+
+            if (fnNext) {
+
+                fnResume = null;
+                fnNext();
+
+            } else if (isFinished && !requestsInFlight) {
+
+                (cb ? cb(null, helperResult()) : null);
+
+            }
+
+        }
+
+        function helperAbort(err) {
+
+            // stop reading, which also ends the download of a streamed source
+            isFailed = true;
+            fnResume = null;
+            recordStream.unpipe(consumer);
+            recordStream.destroy();
+
+            (cb ? cb(err) : null);
+
+        }
+
+        function helperAddBuffer() {
+
+            const body = output;
+
+            output = [];
+            outputBytes = 0;
+            requestsInFlight += 1;
+
+            helperBulkRetry(client, body, options, function(err, failed) {
+
+                // requests in flight when another one failed only keep their rejected documents
+                if (isFailed) {
+                    requestsInFlight -= 1;
+                    (err ? null : helperDeadLetter(deadLetterFile, failed, function () {}));
+                    return;
+                }
+
+                (fnBufferComplete ? fnBufferComplete(helperProcessed()) : null);
+
+                if (err) {
+
+                    requestsInFlight -= 1;
+                    helperAbort(err);
+                    return;
+
+                }
+
+                recordsFailed += failed.length;
+
+                helperDeadLetter(deadLetterFile, failed, function (err) {
+
+                    requestsInFlight -= 1;
+
+                    if (err) {
+                        helperAbort(err);
+                        return;
+                    }
+
+                    helperNext();
+
+                });
+
+            });
+
+        }
+
+        recordStream.on('error', helperAbort);
+
+        consumer = transform(function(document, callback) {
+
+            // documents buffered in the consumer when a request failed are dropped
+            if (isFailed) {
+                return;
+            }
+
+            try {
+
+                action = fnAction(document);
+                document = (options.transform ? options.transform(document) : document);
+
+            } catch (err) {
+
+                // errors in hooks must not escape the stream
+                helperAbort(err);
+                return;
+
+            }
+
+            if (!document) {
+                callback();
+                return;
+            }
+
+            output.push(action, document);
+
+            recordsAdded += 1;
+
+            if (bufferBytes) {
+                // bulk body is newline delimited JSON
+                outputBytes += Buffer.byteLength(JSON.stringify(action)) + Buffer.byteLength(JSON.stringify(document)) + 2;
+            }
+
+            if (output.length >= bufferRecords || (bufferBytes && outputBytes >= bufferBytes)) {
+                helperAddBuffer();
+            }
+
+            // backpressure: with all requests in flight, the stream waits for one to finish
+            if (requestsInFlight >= bulkConcurrency) {
+                fnResume = callback;
+            } else {
+                callback();
+            }
+
+        }, {parallel: 1});
+
+        consumer.on('finish', function(){
+
+            isFinished = true;
+
+            if (isFailed) {
+                return;
+            }
+
+            if (output.length) {
+                helperAddBuffer();
+            }
+
+            if (!requestsInFlight) {
+                (cb ? cb(null, helperResult()) : null);
+            }
+
+        });
+
+        recordStream.pipe(consumer);
+
+    }
+
+    /**
+     * Build the structured name fields of a location from its alternate name records
+     *
+     * - **names** {Object}: current names per language, e.g. names.de = ["München"]
+     * - **preferredNames** {Object}: preferred name per language
+     * - **shortNames** {Object}: short name per language
+     * - **historicNames** {Object}: historic names per language
+     * - **nameVariants** {array}: the alternate name records with all flags
+     *
+     * Records without language are stored under "und" (undetermined)
+     *
+     * @function module:geolistic.helperBuildNames
+     * @private
+     * @param {array} records - alternate name records mapped with geonameAlternateNameMapper
+     * @returns {Object} fields to merge into the location document
+     */
+    function helperBuildNames(records) {
+
+        var fields = {
+                names: {},
+                preferredNames: {},
+                shortNames: {},
+                historicNames: {},
+                nameVariants: records
+            },
+            record,
+            lang,
+            i;
+
+        for (i = 0; i < records.length; i += 1) {
+
+            record = records[i];
+            lang = record.isoLanguage || 'und';
+
+            if (record.isHistoric) {
+
+                fields.historicNames[lang] = fields.historicNames[lang] || [];
+                fields.historicNames[lang].push(record.name);
+                continue;
+
+            }
+
+            fields.names[lang] = fields.names[lang] || [];
+            fields.names[lang].push(record.name);
+
+            if (record.isPreferredName) {
+                fields.preferredNames[lang] = record.name;
+            }
+            if (record.isShortName) {
+                fields.shortNames[lang] = record.name;
+            }
+
+        }
+
+        return fields;
+
+    }
+
+    /**
+     * Read a tab separated GeoName file, skipping comment lines
+     *
+     * @function module:geolistic.helperReadTsvFile
+     * @private
+     * @param {string} file - path to file
+     * @param {function} onRecord - executed with each record (array of columns)
+     * @param {requestCallback} cb - callback(err)
+     */
+    function helperReadTsvFile(file, onRecord, cb) {
+
+        var input,
+            parser,
+            transformer,
+            hasErrors = false;
+
+        parser = parse({delimiter: "\t",
+            quote: '',
+            relax: true,
+            relax_column_count: true,
+            escape: ""});
+        parser.on('error', function (err) {
+
+            hasErrors = true;
+            cb(err);
+
+        });
+
+        input = fs.createReadStream(file);
+        input.on('error', function (err) {
+
+            hasErrors = true;
+            cb(err);
+
+        });
+
+        transformer = transform(function(record, callback) {
+
+            if (!record[0].startsWith('#')) {
+                onRecord(record);
+            }
+            callback();
+
+        }, {parallel: 1});
+
+        transformer.on('finish', function () {
+
+            if (!hasErrors) {
+                cb(null);
+            }
+
+        });
+
+        input.pipe(parser).pipe(transformer);
+
+    }
+
+    /**
+     * Load admin1, admin2 and country names from the admin files in dataPath
+     *
+     * Lookups are keyed like GeoName's own codes, i.e. "NO.12" for admin1,
+     * "NO.12.0301" for admin2 and "NO" for countries. A missing file gives an
+     * empty lookup, so locations are still added, only without those names.
+     * Result is cached until dataPath changes or admin files are downloaded again
+     *
+     * @function module:geolistic.helperLoadAdminNames
+     * @private
+     * @param {string} dataPath - where to find the files
+     * @param {requestCallback} cb - callback(err, lookup)
+     */
+    function helperLoadAdminNames(dataPath, cb) {
+
+        var lookup = {admin1: {}, admin2: {}, countries: {}},
+            keys = Object.keys(local.adminFiles);
+
+        if (local.adminNames && local.adminNames.dataPath === dataPath) {
+            cb(null, local.adminNames.lookup);
+            return;
+        }
+
+        (function loadNextFile(index) {
+
+            var key = keys[index],
+                nameColumn = (key === 'countries' ? local.geonameCountryMapper["country"] : 1);
+
+            if (!key) {
+
+                local.adminNames = {dataPath: dataPath, lookup: lookup};
+                cb(null, lookup);
+                return;
+
+            }
+
+            helperReadTsvFile(path.join(dataPath, local.adminFiles[key]), function (record) {
+
+                lookup[key][record[0]] = record[nameColumn];
+
+            }, function (err) {
+
+                if (err && err.code !== 'ENOENT') {
+                    cb(err);
+                    return;
+                }
+
+                loadNextFile(index + 1);
+
+            });
+
+        })(0);
+
+    }
+
+    /**
+     * List of admin files to download with helperDownloadFiles()
+     *
+     * @function module:geolistic.helperAdminFileDownloads
+     * @private
+     * @returns {array} files with url and dest
+     */
+    function helperAdminFileDownloads() {
+
+        return Object.keys(local.adminFiles).map(function (key) {
+            return {url: local.geonameDownloadUrl.replace("%s", local.adminFiles[key]),
+                dest: local.dataPath,
+                extract: false};
+        });
+
+    }
+
+    /**
+     * Send bulk actions to elastic in batches of bufferRecords actions
+     *
+     * Each action is an array with the action line and, except for deletes, the document line.
+     * Batches are retried like imports (see helperBulkRetry), and rejected actions are appended
+     * to the dead-letter file.
+     *
+     * @function module:geolistic.helperBulkInBatches
+     * @private
+     * @param {Object} client - elastic client
+     * @param {array} actions - bulk actions
+     * @param {Object} options - bufferRecords, retries, retryDelay and deadLetterFile
+     * @param {requestCallback} cb - callback(err, failed), failed is the number of rejected actions
+     */
+    function helperBulkInBatches(client, actions, options, cb) {
+
+        const bufferRecords = options.bufferRecords || 1000,
+            deadLetterFile = options.deadLetterFile || path.join(local.dataPath, local.deadLetterFile);
+
+        var failedActions = 0;
+
+        (function sendNextBatch(index) {
+
+            var body = [],
+                i;
+
+            for (i = index; i < actions.length && i < index + bufferRecords; i += 1) {
+                body = body.concat(actions[i]);
+            }
+
+            if (!body.length) {
+                cb(null, failedActions);
+                return;
+            }
+
+            helperBulkRetry(client, body, options, function (err, failed) {
+
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                failedActions += failed.length;
+
+                helperDeadLetter(deadLetterFile, failed, function (err) {
+
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+
+                    sendNextBatch(i);
+
+                });
+
+            });
+
+        })(0);
+
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD (UTC), which is how GeoName names its daily files
+     *
+     * @function module:geolistic.helperDateString
+     * @private
+     * @param {Date} date - date
+     * @returns {string} date string
+     */
+    function helperDateString(date) {
+
+        return date.toISOString().substr(0, 10);
+
+    }
+
+    /**
+     * Read the daily update state ({lastApplied: "YYYY-MM-DD"}), a missing file gives an empty state
+     *
+     * @function module:geolistic.helperReadUpdateState
+     * @private
+     * @param {string} file - path to state file
+     * @param {requestCallback} cb - callback(err, state)
+     */
+    function helperReadUpdateState(file, cb) {
+
+        fs.readFile(file, 'utf8', function (err, data) {
+
+            if (err) {
+                cb(err.code === 'ENOENT' ? null : err, {});
+                return;
+            }
+
+            try {
+                cb(null, JSON.parse(data));
+            } catch (ex) {
+                cb(new Error("Invalid update state file " + file + ": " + ex.message));
+            }
+
+        });
+
+    }
+
+    /**
+     * Apply one day of GeoName's modifications and deletes files to elastic
+     *
+     * @function module:geolistic.helperApplyUpdateFiles
+     * @private
+     * @param {string} date - YYYY-MM-DD
+     * @param {Object} options - see applyDailyUpdates()
+     * @param {Object|null} adminNames - lookup from helperLoadAdminNames()
+     * @param {requestCallback} cb - callback(err, result)
+     */
+    function helperApplyUpdateFiles(date, options, adminNames, cb) {
+
+        const updatesPath = path.join(local.dataPath, local.updatesDir),
+            featureClassFilters = options.classFilters || null,
+            countries = options.countries || null,
+            // validated by applyDailyUpdates()
+            recordFilter = helperRecordFilter(options.filter),
+            client = local.client;
+
+        var actions = [],
+            deletedIds = {},
+            nameChanges = {},
+            result = {date: date, updated: 0, deleted: 0, namesUpdated: 0, namesSkipped: 0, invalid: 0, failed: 0};
+
+        function helperFile(prefix) {
+            return path.join(updatesPath, prefix + '-' + date + '.txt');
+        }
+
+        function helperNameChange(geonameId) {
+            nameChanges[geonameId] = nameChanges[geonameId] || {modified: [], deleted: []};
+            return nameChanges[geonameId];
+        }
+
+        function helperDownload(next) {
+
+            if (options.download === false) {
+                next();
+                return;
+            }
+
+            helperDownloadFiles(local.updateFiles.map(function (prefix) {
+                return {url: local.geonameDownloadUrl.replace("%s", prefix + '-' + date + '.txt'),
+                    dest: updatesPath,
+                    extract: false};
+            }), {parallelDownloads: local.updateFiles.length}, function (err, report) {
+
+                if (!err && report.failed.length) {
+                    // a day can only be applied with all of its files
+                    err = new Error("Error downloading " + report.failed.map(function (failed) {
+                        return failed.error;
+                    }).join(", "));
+                }
+
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                next();
+
+            });
+
+        }
+
+        function helperRead(prefix, onRecord, next) {
+
+            helperReadTsvFile(helperFile(prefix), onRecord, function (err) {
+
+                if (err) {
+                    if (err.code === 'ENOENT') {
+                        err = new Error("Missing update file for " + date + " at " + err.path);
+                    }
+                    cb(err);
+                    return;
+                }
+
+                next();
+
+            });
+
+        }
+
+        function helperUpdateNames(next) {
+
+            var geonameIds = Object.keys(nameChanges).filter(function (geonameId) {
+                return !deletedIds[geonameId];
+            });
+
+            if (!geonameIds.length) {
+                next();
+                return;
+            }
+
+            // the names are rebuilt from the stored name variants, without them the other names are unknown
+            if (helperFieldName('nameVariants') === null) {
+                result.namesSkipped = geonameIds.length;
+                next();
+                return;
+            }
+
+            client.mget({
+                index: local.elasticIndex,
+                type: helperType(local.elasticType),
+                _source: [helperFieldName('nameVariants')],
+                body: {ids: geonameIds}
+            }, function (err, response) {
+
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                response.docs.forEach(function (doc) {
+
+                    // Locations that are not indexed (e.g. filtered away) are skipped
+                    if (!doc.found) {
+                        return;
+                    }
+
+                    var change = nameChanges[doc._id],
+                        previous = helperBuildNames((doc._source && doc._source[helperFieldName('nameVariants')]) || []),
+                        variants,
+                        fields;
+
+                    variants = previous.nameVariants.filter(function (variant) {
+                        return change.deleted.indexOf(variant.alternateNameId) === -1 &&
+                            !change.modified.some(function (modified) {
+                                return modified.alternateNameId === variant.alternateNameId;
+                            });
+                    }).concat(change.modified);
+
+                    fields = helperBuildNames(variants);
+
+                    // Partial updates merge objects, so languages without names must be cleared
+                    ['names', 'preferredNames', 'shortNames', 'historicNames'].forEach(function (field) {
+                        for (var lang in previous[field]) {
+                            if (!(lang in fields[field])) {
+                                fields[field][lang] = null;
+                            }
+                        }
+                    });
+
+                    actions.push([{ "update" : { _index: local.elasticIndex,
+                        _type: helperType(local.elasticType),
+                        _id: doc._id } }, { "doc": helperApplyFields(fields) }]);
+
+                    result.namesUpdated += 1;
+
+                });
+
+                next();
+
+            });
+
+        }
+
+        helperDownload(function () {
+
+            helperRead('modifications', function (record) {
+
+                var location = helperMapLocation(record, adminNames),
+                    document;
+
+                if ((featureClassFilters && featureClassFilters.length &&
+                    featureClassFilters.indexOf(location.featureClass) === -1) ||
+                    (countries && countries.indexOf(location.country) === -1)) {
+                    return;
+                }
+
+                if (helperValidateLocation(location)) {
+                    result.invalid += 1;
+                    return;
+                }
+
+                if (recordFilter && !recordFilter(location)) {
+                    return;
+                }
+
+                document = helperDocument(location);
+
+                if (!document) {
+                    return;
+                }
+
+                actions.push([{ "update" : { _index: local.elasticIndex,
+                    _type: helperType(local.elasticType),
+                    _id: location.geonameId } }, { "doc": document, "doc_as_upsert": true }]);
+
+                result.updated += 1;
+
+            }, function () {
+
+                helperRead('deletes', function (record) {
+
+                    deletedIds[record[0]] = true;
+
+                    actions.push([{ "delete" : { _index: local.elasticIndex,
+                        _type: helperType(local.elasticType),
+                        _id: record[0] } }]);
+
+                    result.deleted += 1;
+
+                }, function () {
+
+                    helperRead('alternateNamesModifications', function (record) {
+
+                        var alternateName = helperMapAlternateName(record);
+
+                        if (local.alternateNameSkipLanguages.indexOf(alternateName.isoLanguage) !== -1) {
+                            return;
+                        }
+
+                        helperNameChange(record[local.geonameAlternateNameMapper["geonameId"]])
+                            .modified.push(alternateName);
+
+                    }, function () {
+
+                        helperRead('alternateNamesDeletes', function (record) {
+
+                            // alternateNameId, geonameId, comment
+                            helperNameChange(record[1]).deleted.push(record[0]);
+
+                        }, function () {
+
+                            helperUpdateNames(function () {
+
+                                helperBulkInBatches(client, actions, options, function (err, failed) {
+
+                                    if (err) {
+                                        cb(err);
+                                        return;
+                                    }
+
+                                    result.failed = failed;
+                                    cb(null, result);
+
+                                });
+
+                            });
+
+                        });
+
+                    });
+
+                });
+
+            });
+
+        });
+
+    }
+
+    /**
+     * Term filter for a single value or terms filter for an array of values
+     *
+     * @function module:geolistic.helperTermsFilter
+     * @private
+     * @param {string} field - field in elastic
+     * @param {string|array} value - value(s) to match
+     * @returns {Object} filter
+     */
+    function helperTermsFilter(field, value) {
+
+        var filter = {};
+
+        if (Array.isArray(value)) {
+            filter[field] = value;
+            return {"terms": filter};
+        }
+
+        filter[field] = value;
+        return {"term": filter};
+
+    }
+
+    /**
+     * Build elastic filters from the location search options shared by search() and reverseGeocode()
+     *
+     * @function module:geolistic.helperLocationFilters
+     * @private
+     * @param {Object} options - country, featureClass, featureCode, minPopulation and bbox
+     * @returns {array} filters
+     * @throws if bbox is not valid
+     */
+    function helperLocationFilters(options) {
+
+        var filters = [],
+            bbox = options.bbox;
+
+        if (options.country && options.country.length) {
+            filters.push(helperTermsFilter("country", Array.isArray(options.country) ?
+                options.country.map(function (country) {
+                    return country.toLocaleUpperCase();
+                }) : options.country.toLocaleUpperCase()));
+        }
+
+        if (options.featureClass && options.featureClass.length) {
+            filters.push(helperTermsFilter("featureClass", options.featureClass));
+        }
+
+        if (options.featureCode && options.featureCode.length) {
+            filters.push(helperTermsFilter("featureCode", options.featureCode));
+        }
+
+        if (options.minPopulation) {
+            filters.push({"range": {"population": {"gte": options.minPopulation}}});
+        }
+
+        if (bbox) {
+
+            if (!Array.isArray(bbox) || bbox.length !== 4) {
+                throw new Error("bbox must be an array of [minLon, minLat, maxLon, maxLat]");
+            }
+
+            filters.push({"geo_bounding_box": {"location": {
+                "top_left": {"lat": +bbox[3], "lon": +bbox[0]},
+                "bottom_right": {"lat": +bbox[1], "lon": +bbox[2]}
+            }}});
+
+        }
+
+        return filters;
+
+    }
+
+    /**
+     * Check if a point is inside a linear ring of [lon, lat] positions (ray casting)
+     *
+     * @function module:geolistic.helperPointInRing
+     * @private
+     * @param {number} lon - longitude
+     * @param {number} lat - latitude
+     * @param {array} ring - GeoJSON linear ring
+     * @returns {boolean} true if inside
+     */
+    function helperPointInRing(lon, lat, ring) {
+
+        var inside = false,
+            i,
+            j;
+
+        for (i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+
+            if ((ring[i][1] > lat) !== (ring[j][1] > lat) &&
+                lon < (ring[j][0] - ring[i][0]) * (lat - ring[i][1]) / (ring[j][1] - ring[i][1]) + ring[i][0]) {
+                inside = !inside;
+            }
+
+        }
+
+        return inside;
+
+    }
+
+    /**
+     * Compile the declarative filter of createLocationStream() to a function that checks a location
+     *
+     * @function module:geolistic.helperRecordFilter
+     * @private
+     * @param {Object} [filter] - see createLocationStream()
+     * @returns {function|null} returns true for locations to keep, or null without filter
+     * @throws if the filter has unknown keys, or bbox, polygon or predicate is not valid
+     */
+    function helperRecordFilter(filter) {
+
+        const matchFields = ['featureClass', 'featureCode', 'country', 'timezone', 'admin1', 'admin2', 'admin3', 'admin4'];
+
+        var checks = [],
+            bbox,
+            geometry,
+            polygons;
+
+        if (!filter) {
+            return null;
+        }
+
+        Object.keys(filter).forEach(function (key) {
+
+            if (matchFields.indexOf(key) === -1 &&
+                ['minPopulation', 'maxPopulation', 'bbox', 'polygon', 'predicate'].indexOf(key) === -1) {
+                throw new Error("Unknown filter '" + key + "'");
+            }
+
+        });
+
+        matchFields.forEach(function (field) {
+
+            if (filter[field] === undefined || filter[field] === null) {
+                return;
+            }
+
+            const values = [].concat(filter[field]).map(String);
+
+            checks.push(function (location) {
+                return values.indexOf(String(location[field])) !== -1;
+            });
+
+        });
+
+        if (filter.minPopulation !== undefined) {
+            checks.push(function (location) {
+                return (location.population || 0) >= filter.minPopulation;
+            });
+        }
+
+        if (filter.maxPopulation !== undefined) {
+            checks.push(function (location) {
+                return (location.population || 0) <= filter.maxPopulation;
+            });
+        }
+
+        if (filter.bbox) {
+
+            bbox = filter.bbox;
+
+            if (!Array.isArray(bbox) || bbox.length !== 4 || bbox.some(function (value) {
+                return !isFinite(value) || value === '' || value === null;
+            })) {
+                throw new Error("bbox must be an array of [minLon, minLat, maxLon, maxLat]");
+            }
+
+            bbox = bbox.map(Number);
+
+            checks.push(function (location) {
+
+                // a bbox with minLon > maxLon crosses the antimeridian
+                return location.latitude >= bbox[1] && location.latitude <= bbox[3] &&
+                    (bbox[0] <= bbox[2] ?
+                        location.longitude >= bbox[0] && location.longitude <= bbox[2] :
+                        location.longitude >= bbox[0] || location.longitude <= bbox[2]);
+
+            });
+
+        }
+
+        if (filter.polygon) {
+
+            geometry = (filter.polygon.type === 'Feature' ? filter.polygon.geometry : filter.polygon) || {};
+
+            if (geometry.type === 'Polygon') {
+                polygons = [geometry.coordinates];
+            } else if (geometry.type === 'MultiPolygon') {
+                polygons = geometry.coordinates;
+            }
+
+            if (!Array.isArray(polygons) || !polygons.every(function (rings) {
+                return Array.isArray(rings) && rings.length && rings.every(Array.isArray);
+            })) {
+                throw new Error("polygon must be a GeoJSON Polygon or MultiPolygon (geometry or feature)");
+            }
+
+            checks.push(function (location) {
+
+                // the first ring is the outline, the others are holes
+                return polygons.some(function (rings) {
+                    return helperPointInRing(location.longitude, location.latitude, rings[0]) &&
+                        !rings.slice(1).some(function (hole) {
+                            return helperPointInRing(location.longitude, location.latitude, hole);
+                        });
+                });
+
+            });
+
+        }
+
+        if (filter.predicate) {
+
+            if (typeof filter.predicate !== 'function') {
+                throw new Error("predicate must be a function");
+            }
+
+            checks.push(filter.predicate);
+
+        }
+
+        return function (location) {
+
+            return checks.every(function (check) {
+                return check(location);
+            });
+
+        };
+
+    }
+
+    /**
+     * Quote a value for a csv line, arrays are joined with comma
+     *
+     * @function module:geolistic.helperCsvValue
+     * @private
+     * @param {*} value - field value
+     * @returns {string} csv value
+     */
+    function helperCsvValue(value) {
+
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        value = (Array.isArray(value) ? value.join(',') : String(value));
+
+        if (/[",\r\n]/.test(value)) {
+            value = '"' + value.replace(/"/g, '""') + '"';
+        }
+
+        return value;
+
+    }
+
+    /**
+     * Text output of an export format, see createExportStream
+     *
+     * - **head** {string}: written before the first location
+     * - **location** {function}: returns the text of a location, index is passed as second param
+     * - **tail** {string}: written after the last location
+     *
+     * @function module:geolistic.helperExportFormat
+     * @private
+     * @param {string} format - geojson, ndjson or csv
+     * @returns {Object} see above
+     */
+    function helperExportFormat(format) {
+
+        const csvFields = local.exportCsvFields;
+
+        if (format === 'geojson') {
+
+            return {
+                head: '{"type":"FeatureCollection","features":[\n',
+                location: function (location, index) {
+
+                    var properties = {};
+
+                    for (var key in location) {
+                        if (key !== 'location') {
+                            properties[key] = location[key];
+                        }
+                    }
+
+                    return (index ? ',\n' : '') + JSON.stringify({
+                        type: 'Feature',
+                        geometry: {type: 'Point', coordinates: [+location.longitude, +location.latitude]},
+                        properties: properties
+                    });
+
+                },
+                tail: '\n]}\n'
+            };
+
+        }
+
+        if (format === 'ndjson') {
+
+            return {
+                head: '',
+                location: function (location) {
+
+                    return JSON.stringify(location) + '\n';
+
+                },
+                tail: ''
+            };
+
+        }
+
+        if (format === 'csv') {
+
+            return {
+                head: csvFields.join(',') + '\n',
+                location: function (location) {
+
+                    return csvFields.map(function (field) {
+                        return helperCsvValue(location[field]);
+                    }).join(',') + '\n';
+
+                },
+                tail: ''
+            };
+
+        }
+
+        throw new Error("Invalid export format '" + format + "', should be one of " + local.exportFormats.join(', '));
+
+    }
+
+    /**
+     * Map a search hit from elastic to a location object with typed values
+     *
+     * If a language is given and the location has alternate names (see addAlternateNamesToElastic),
+     * **localizedName** is its preferred name in that language, otherwise the name
+     *
+     * @function module:geolistic.helperNormalizeLocation
+     * @private
+     * @param {Object} hit - hit from elastic
+     * @param {string} [language] - iso language code, e.g. "de"
+     * @returns {Object} location
+     */
+    function helperNormalizeLocation(hit, language) {
+
+        const source = hit._source || {};
+
+        function helperNumber(value) {
+            return (value === undefined || value === null || value === '' ? null : +value);
+        }
+
+        var location = {
+            geonameId: helperNumber(source.geonameId),
+            name: source.name,
+            asciiName: source.asciiName,
+            featureClass: source.featureClass,
+            featureCode: source.featureCode,
+            country: source.country,
+            countryName: source.countryName || null,
+            admin1: source.admin1 || null,
+            admin1Name: source.admin1Name || null,
+            admin2: source.admin2 || null,
+            admin2Name: source.admin2Name || null,
+            population: helperNumber(source.population),
+            elevation: helperNumber(source.elevation),
+            timezone: source.timezone,
+            latitude: helperNumber(source.latitude),
+            longitude: helperNumber(source.longitude)
+        };
+
+        if (language) {
+            location.localizedName = (source.preferredNames && source.preferredNames[language]) ||
+                (source.names && source.names[language] && source.names[language][0]) ||
+                source.name;
+        }
+
+        return location;
+
+    }
+
+    /**
+     * Request a file:// url, answering like helperRequest() does for http
+     *
+     * The modification time of the file is sent as Last-Modified, so unchanged files get 304
+     * and partial downloads are resumed with 206 as from a http server.
+     * A missing file is an error with statusCode 404.
+     *
+     * @function module:geolistic.helperFileRequest
+     * @private
+     * @param {string} requestUrl - file url
+     * @param {Object} headers - request headers
+     * @param {requestCallback} cb - callback(err, response)
+     */
+    function helperFileRequest(requestUrl, headers, cb) {
+
+        var file;
+
+        try {
+            file = url.fileURLToPath(requestUrl);
+        } catch (err) {
+            cb(err);
+            return;
+        }
+
+        fs.stat(file, function (err, stat) {
+
+            var res,
+                lastModified,
+                range;
+
+            if (err || !stat.isFile()) {
+
+                err = new Error("Missing file " + file + " for " + requestUrl);
+                err.statusCode = 404;
+                cb(err);
+                return;
+
+            }
+
+            lastModified = stat.mtime.toUTCString();
+            range = /^bytes=(\d+)-$/.exec(headers['Range'] || '');
+
+            if (range && headers['If-Range'] !== lastModified) {
+                // the file has changed since the partial download, send all of it
+                range = null;
+            }
+
+            if (headers['If-Modified-Since'] === lastModified && !range) {
+
+                res = new stream.PassThrough();
+                res.statusCode = 304;
+                res.end();
+
+            } else if (range && +range[1] >= stat.size) {
+
+                res = new stream.PassThrough();
+                res.statusCode = 416;
+                res.end();
+
+            } else {
+
+                res = fs.createReadStream(file, {start: (range ? +range[1] : 0)});
+                res.statusCode = (range ? 206 : 200);
+
+            }
+
+            res.headers = {'last-modified': lastModified};
+
+            if (res.statusCode === 200 || res.statusCode === 206) {
+                res.headers['content-length'] = String(stat.size - (range ? +range[1] : 0));
+            }
+            cb(null, res);
+
+        });
+
+    }
+
+    /**
+     * Request a url with http or https, following redirects
+     *
+     * Responds with 200, 206 (partial content), 304 (not modified) and 416 (range not satisfiable),
+     * other statuses are errors. File urls are read with helperFileRequest().
+     *
+     * A request that gets no data for the download timeout (see setDownloadTimeout) is aborted
+     * with an ETIMEDOUT error, also while the response is read, so the download can be retried.
+     *
+     * @function module:geolistic.helperRequest
+     * @private
+     * @param {string} requestUrl - http(s) or file url
+     * @param {Object} headers - request headers
+     * @param {requestCallback} cb - callback(err, response)
+     */
+    function helperRequest(requestUrl, headers, cb) {
+
+        cb = helperOnce(cb);
+
+        if (/^file:/.test(requestUrl)) {
+            helperFileRequest(requestUrl, headers, cb);
+            return;
+        }
+
+        (function requestUrlFollow(currentUrl, redirects) {
+
+            const options = url.parse(currentUrl),
+                client = (options.protocol === 'https:' ? https : http);
+
+            var req;
+
+            options.headers = headers;
+
+            req = client.get(options, function (res) {
+
+                if (res.statusCode >= 300 && res.statusCode < 400 && res.statusCode !== 304 && res.headers.location) {
+
+                    res.resume();
+
+                    if (redirects >= 5) {
+                        cb(new Error("Too many redirects for " + requestUrl));
+                        return;
+                    }
+
+                    requestUrlFollow(url.resolve(currentUrl, res.headers.location), redirects + 1);
+                    return;
+
+                }
+
+                if ([200, 206, 304, 416].indexOf(res.statusCode) === -1) {
+
+                    var err = new Error("Response code " + res.statusCode + " (" + res.statusMessage + ") for " + currentUrl);
+
+                    err.statusCode = res.statusCode;
+                    res.resume();
+                    cb(err);
+                    return;
+
+                }
+
+                cb(null, res);
+
+            });
+
+            req.on('error', cb);
+            req.setTimeout(local.downloadTimeout, function () {
+
+                var err = new Error("No data for " + local.downloadTimeout + "ms from " + currentUrl);
+
+                err.code = 'ETIMEDOUT';
+                req.destroy(err);
+
+            });
+
+        })(requestUrl, 0);
+
+    }
+
+    /**
+     * Sha256 checksum of a file
+     *
+     * @function module:geolistic.helperChecksum
+     * @private
+     * @param {string} file - path to file
+     * @param {requestCallback} cb - callback(err, hex checksum)
+     */
+    function helperChecksum(file, cb) {
+
+        const hash = crypto.createHash('sha256');
+
+        cb = helperOnce(cb);
+
+        fs.createReadStream(file).on('error', cb).on('data', function (chunk) {
+
+            hash.update(chunk);
+
+        }).on('end', function () {
+
+            cb(null, hash.digest('hex'));
+
+        });
+
+    }
+
+    /**
+     * Download a url to a file, conditionally and resuming a partial download
+     *
+     * The download is written to file.part and renamed when complete, so an interrupted
+     * download is resumed with a range request next time (if the server still has the same file).
+     *
+     * Options:
+     * - **entry** {Object}: manifest entry of the url with etag and lastModified, sent as conditional request
+     * - **partial** {Object}: etag and lastModified of file.part, to resume it
+     * - **partialStarted** {function}: hook executed with etag and lastModified when a new file.part is started
+     * - **progress** {function}: hook executed for each received chunk with bytes and bytesTotal (null if unknown)
+     *
+     * @function module:geolistic.helperFetchFile
+     * @private
+     * @param {string} fileUrl - url to download
+     * @param {string} file - path to save to
+     * @param {Object} options - see above
+     * @param {requestCallback} cb - callback(err, {notModified} or {etag, lastModified, size, checksum})
+     */
+    function helperFetchFile(fileUrl, file, options, cb) {
+
+        const partFile = file + '.part',
+            entry = options.entry || null,
+            partial = options.partial || null;
+
+        cb = helperOnce(cb);
+
+        fs.stat(partFile, function (err, stat) {
+
+            var headers = {},
+                partSize = (!err && partial && (partial.etag || partial.lastModified) ? stat.size : 0);
+
+            if (entry && entry.etag) {
+                headers['If-None-Match'] = entry.etag;
+            }
+            if (entry && entry.lastModified) {
+                headers['If-Modified-Since'] = entry.lastModified;
+            }
+            if (partSize) {
+                // the server sends the whole file instead if it has changed since
+                headers['Range'] = 'bytes=' + partSize + '-';
+                headers['If-Range'] = partial.etag || partial.lastModified;
+            }
+
+            helperRequest(fileUrl, headers, function (err, res) {
+
+                var output,
+                    validators,
+                    bytes,
+                    bytesTotal;
+
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                if (res.statusCode === 304) {
+                    res.resume();
+                    cb(null, {notModified: true});
+                    return;
+                }
+
+                if (res.statusCode === 416) {
+
+                    // the partial file does not fit the file on the server, start over
+                    res.resume();
+                    fs.unlink(partFile, function () {
+
+                        helperFetchFile(fileUrl, file, {entry: entry, progress: options.progress}, cb);
+
+                    });
+                    return;
+
+                }
+
+                validators = {etag: res.headers['etag'] || null, lastModified: res.headers['last-modified'] || null};
+
+                if (res.statusCode === 200 && options.partialStarted) {
+                    options.partialStarted(validators);
+                }
+
+                output = fs.createWriteStream(partFile, {flags: (res.statusCode === 206 ? 'a' : 'w')});
+                output.on('error', cb);
+                res.on('error', function (err) {
+
+                    // close the file, what was written is resumed next time
+                    output.destroy();
+                    cb(err);
+
+                });
+
+                if (options.progress) {
+
+                    bytes = (res.statusCode === 206 ? partSize : 0);
+                    bytesTotal = (res.headers['content-length'] ? bytes + (+res.headers['content-length']) : null);
+
+                    res.on('data', function (chunk) {
+
+                        bytes += chunk.length;
+                        options.progress(bytes, bytesTotal);
+
+                    });
+
+                }
+
+                output.on('finish', function () {
+
+                    helperChecksum(partFile, function (err, checksum) {
+
+                        if (err) {
+                            cb(err);
+                            return;
+                        }
+
+                        fs.stat(partFile, function (err, stat) {
+
+                            if (err) {
+                                cb(err);
+                                return;
+                            }
+
+                            fs.rename(partFile, file, function (err) {
+
+                                if (err) {
+                                    cb(err);
+                                    return;
+                                }
+
+                                cb(null, {etag: validators.etag, lastModified: validators.lastModified,
+                                    size: stat.size, checksum: checksum});
+
+                            });
+
+                        });
+
+                    });
+
+                });
+
+                res.pipe(output);
+
+            });
+
+        });
+
+    }
+
+    /**
+     * Validate a source directory url and make it a template for file names (e.g. "http://mirror/dump/%s")
+     *
+     * @function module:geolistic.helperSourceUrl
+     * @private
+     * @param {string} sourceUrl - http(s) or file url of a directory
+     * @returns {string} url with %s for the file name
+     * @throws if not a http(s) or file url
+     */
+    function helperSourceUrl(sourceUrl) {
+
+        if (typeof sourceUrl !== 'string' || !/^(https?|file):\/\//.test(sourceUrl)) {
+            throw new Error("Source url is not a valid http(s) or file url");
+        }
+
+        return sourceUrl.replace(/\/*$/, "/") + "%s";
+
+    }
+
+    /**
+     * Download a file and record it in the manifest, or skip it if it has not changed since the last download
+     *
+     * Manifest entries are keyed by url with file, etag, lastModified, size, checksum (sha256 of the
+     * downloaded file), files (files in dest after extracting) and downloaded (time).
+     * A file is skipped when all of its files exist and the server answers the conditional request with 304,
+     * a kept archive (not extracted) only if its checksum still matches.
+     *
+     * @function module:geolistic.helperDownloadFile
+     * @private
+     * @param {Object} file - url, dest and extract, see helperDownloadFiles()
+     * @param {Object} manifest - manifest with entries by url, updated in place
+     * @param {Object} options - extract and force, see downloadGeoNameCountryFiles()
+     * @param {function} fnManifestChanged - hook executed when the manifest should be saved
+     * @param {function|null} fnProgress - hook executed while downloading with bytes and bytesTotal
+     * @param {requestCallback} cb - callback(err, skipped)
+     */
+    function helperDownloadFile(file, manifest, options, fnManifestChanged, fnProgress, cb) {
+
+        const name = path.basename(url.parse(file.url).pathname),
+            archive = path.join(file.dest, name),
+            extract = (file.extract === undefined ? !!options.extract : file.extract) && /\.zip$/.test(name);
+
+        var entry = (options.force ? null : manifest[file.url]) || null;
+
+        if (entry && entry.files && !entry.files.every(function (outputFile) {
+            return fs.existsSync(path.join(file.dest, outputFile));
+        })) {
+            // files were removed since, download again
+            entry = null;
+        }
+
+        // a kept archive that changed since it was downloaded (e.g. a broken copy) is downloaded again
+        function helperVerify(next) {
+
+            if (!entry || !entry.checksum || !entry.files || entry.files.indexOf(name) === -1) {
+                next();
+                return;
+            }
+
+            helperChecksum(archive, function (err, checksum) {
+
+                if (err || checksum !== entry.checksum) {
+                    entry = null;
+                }
+
+                next();
+
+            });
+
+        }
+
+        helperVerify(function () {
+
+            fs.mkdir(file.dest, {recursive: true}, function (err) {
+
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                helperFetchFile(file.url, archive, {
+                    entry: (entry && entry.files ? entry : null),
+                    partial: (options.force || !manifest[file.url] ? null : manifest[file.url].partial),
+                    progress: fnProgress,
+                    partialStarted: function (validators) {
+
+                        // the last complete download stays recorded until this one is done
+                        manifest[file.url] = Object.assign({}, manifest[file.url], {partial: validators});
+                        fnManifestChanged();
+
+                    }
+                }, function (err, fetched) {
+
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+
+                    if (fetched.notModified) {
+                        cb(null, true);
+                        return;
+                    }
+
+                    function helperRecord(files) {
+
+                        manifest[file.url] = {
+                            file: name,
+                            etag: fetched.etag,
+                            lastModified: fetched.lastModified,
+                            size: fetched.size,
+                            checksum: fetched.checksum,
+                            files: files,
+                            downloaded: new Date().toISOString()
+                        };
+                        fnManifestChanged();
+
+                        cb(null, false);
+
+                    }
+
+                    if (!extract) {
+                        helperRecord([name]);
+                        return;
+                    }
+
+                    decompress(archive, file.dest).then(function (extracted) {
+
+                        fs.unlink(archive, function () {
+
+                            helperRecord(extracted.filter(function (extractedFile) {
+                                return extractedFile.type === 'file';
+                            }).map(function (extractedFile) {
+                                return extractedFile.path;
+                            }));
+
+                        });
+
+                    }, function (err) {
+
+                        cb(new Error("Error extracting " + archive + ": " + err.message));
+
+                    });
+
+                });
+
+            });
+
+        });
+
+    }
+
+    /**
+     * Download a list of files in parallel batches
+     *
+     * Each file is an object with **url**, **dest** (local directory) and optionally
+     * **extract** to override the extract option for plain text files.
+     * Unchanged files are skipped with the manifest in dataPath, see helperDownloadFile().
+     * Failed files are retried with exponential backoff, a file that still fails does not stop the others.
+     *
+     * @function module:geolistic.helperDownloadFiles
+     * @private
+     * @param {array} files - files to download
+     * @param {Object} options - see downloadGeoNameCountryFiles()
+     * @param {requestCallback} cb - callback(err, report) with processed, succeeded, skipped and failed files
+     */
+    function helperDownloadFiles(files, options, cb) {
+
+        const manifestFile = path.join(local.dataPath, local.manifestFile),
+            retries = (options.retries === undefined ? local.downloadRetries : options.retries),
+            retryDelay = (options.retryDelay === undefined ? local.downloadRetryDelay : options.retryDelay),
+            job = options.job || null,
+            fnDone = cb;
+
+        var parallelDownloads = options.parallelDownloads || 2,
+            fnPreParallelDownload = options.preDownload || null,
+            fnPostParallelDownload = options.postDownload || null,
+            fnDownloadSkipped = options.downloadSkipped || null,
+            fnDownloadFailed = options.downloadFailed || null,
+            hasErrors = false,
+            downloadQueue = [],
+            downloadsLeft = files.slice(),
+            manifest = {},
+            manifestWriting = false,
+            manifestChanged = false,
+            fnManifestWritten = null,
+            i,
+            report = {processed: 0, succeeded: [], skipped: [], failed: []};
+
+        cb = helperOnce(function (err, data) {
+
+            (err ? helperJobEmit(job, 'error', err) : null);
+            (fnDone ? fnDone(err, data) : null);
+
+        });
+
+        function helperQueueUrls() {
+
+            return downloadQueue.map(function (x) {
+                return x.url;
+            });
+
+        }
+
+        // writes are queued, so a slow write never overwrites a newer manifest
+        function helperSaveManifest() {
+
+            if (manifestWriting) {
+                manifestChanged = true;
+                return;
+            }
+
+            manifestWriting = true;
+            manifestChanged = false;
+
+            fs.writeFile(manifestFile, JSON.stringify(manifest, null, 2), function (err) {
+
+                manifestWriting = false;
+
+                if (err) {
+                    hasErrors = true;
+                    cb(new Error("Error writing download manifest " + manifestFile + ": " + err.message));
+                    return;
+                }
+
+                if (manifestChanged) {
+                    helperSaveManifest();
+                } else if (fnManifestWritten) {
+                    fnManifestWritten();
+                }
+
+            });
+
+        }
+
+        function helperDownloadsDone() {
+
+            if (manifestWriting) {
+
+                fnManifestWritten = function () {
+                    cb(null, report);
+                };
+                return;
+
+            }
+
+            cb(null, report);
+
+        }
+
+        // progress events of a file, at most one per second and the last one
+        function helperFileProgress(fileUrl) {
+
+            const started = Date.now();
+
+            var lastProgress = 0;
+
+            if (!job) {
+                return null;
+            }
+
+            return function (bytes, bytesTotal) {
+
+                if (Date.now() - lastProgress < 1000 && bytes !== bytesTotal) {
+                    return;
+                }
+
+                lastProgress = Date.now();
+                helperJobEmit(job, 'progress', Object.assign({type: 'download', file: fileUrl, bytes: bytes,
+                    bytesTotal: bytesTotal}, helperJobRate(started, bytes, bytes, bytesTotal)));
+
+            };
+
+        }
+
+        // resolves with "succeeded", "skipped" or "failed", never rejects
+        function helperDownloadWithRetry(file) {
+
+            return new Promise(function (resolve) {
+
+                (function tryDownload(tries) {
+
+                    helperDownloadFile(file, manifest, options, helperSaveManifest, helperFileProgress(file.url), function (err, skipped) {
+
+                        if (!err) {
+                            helperJobEmit(job, 'countryDone', {type: 'download', file: file.url,
+                                status: (skipped ? 'skipped' : 'succeeded'), error: null});
+                            resolve(skipped ? 'skipped' : 'succeeded');
+                            return;
+                        }
+
+                        // missing files and other client errors will not change when retried
+                        if (tries < retries && !(err.statusCode >= 400 && err.statusCode < 500 &&
+                            err.statusCode !== 408 && err.statusCode !== 429)) {
+
+                            helperJobEmit(job, 'warning', {type: 'download', file: file.url,
+                                message: "Retrying " + file.url + " after " + err.message});
+
+                            setTimeout(function () {
+
+                                tryDownload(tries + 1);
+
+                            }, retryDelay * Math.pow(2, tries));
+                            return;
+
+                        }
+
+                        report.failed.push({url: file.url, error: err.message});
+                        (fnDownloadFailed ? fnDownloadFailed(file.url, err) : null);
+                        helperJobEmit(job, 'countryDone', {type: 'download', file: file.url,
+                            status: 'failed', error: err.message});
+                        resolve('failed');
+
+                    });
+
+                })(0);
+
+            });
+
+        }
+
+        if (files.length === 0) {
+
+            // Nothing to do...
+            (cb ? cb(null, report) : null);
+            return;
+
+        }
+
+        helperJobEmit(job, 'start', {type: 'download', files: files.map(function (file) {
+            return file.url;
+        })});
+
+        fs.readFile(manifestFile, 'utf8', function (err, data) {
+
+            if (!err) {
+
+                try {
+                    manifest = JSON.parse(data);
+                } catch (ex) {
+                    // a broken manifest only means everything is downloaded again
+                    manifest = {};
+                }
+
+            }
+
+            (function downloadNextFiles() {
+
+                for (i = 0; i < parallelDownloads; i += 1) {
+
+                    downloadQueue.push(downloadsLeft.shift());
+
+                    if (!downloadsLeft.length) {
+                        // No more downloads, exit loop
+                        break;
+                    }
+
+                }
+
+                (fnPreParallelDownload ? fnPreParallelDownload(helperQueueUrls()) : null);
+
+                Promise.all(downloadQueue.map(helperDownloadWithRetry)).then(function(statuses) {
+
+                    var downloaded = [];
+
+                    if (hasErrors) {
+                        return;
+                    }
+
+                    statuses.forEach(function (status, index) {
+
+                        if (status === 'succeeded') {
+                            downloaded.push(downloadQueue[index].url);
+                            report.succeeded.push(downloadQueue[index].url);
+                        } else if (status === 'skipped') {
+                            report.skipped.push(downloadQueue[index].url);
+                            (fnDownloadSkipped ? fnDownloadSkipped(downloadQueue[index].url) : null);
+                        }
+
+                    });
+
+                    (fnPostParallelDownload ? fnPostParallelDownload(downloaded) : null);
+
+                    report.processed += downloadQueue.length;
+                    downloadQueue = [];
+
+                    if (!downloadsLeft.length) {
+                        // Nothing more to download
+                        helperDownloadsDone();
+                        return;
+                    }
+
+                    downloadNextFiles();
+                });
+
+            })();
+
+        });
+
+    }
+
+    /**
+     * -------------------  PUBLIC  -------------------
+     */
+
+    /**
+     * Set/update config
+     *
+     * Can be used to provide db information after init but before calling
+     * db dependent methods
+     *
+     * - **elasticPath** {string}: index/type path in elastic, e.g. "geonames/geoname"
+     * - **elasticPostalPath** {string}: index/type path in elastic for postal codes, e.g. "postalcodes/postalcode"
+     * - **elasticClient** {Object}: live connection object to elastic using https://www.npmjs.com/package/elasticsearch
+     * - **dataPath** {string}: local path to download data files
+     * - **geonameUrl** {string}: source of the GeoName dump files, see setGeoNameUrl()
+     * - **geonamePostalUrl** {string}: source of the GeoName postal code files, see setGeoNamePostalUrl()
+     * - **downloadTimeout** {number}: ms without data before a download is retried, see setDownloadTimeout()
+     * - **fields** {array|Object}: fields of location documents to keep or rename, see setFields()
+     * - **transform** {function}: hook to modify or skip location documents, see setTransform()
+     *
+     * @example
+     * geolistic.config({elasticClient: client});
+     *
+     * @function module:geolistic.config
+     * @param {object} data - configuration options (see above)
+     * @throws if error in options or unknown option keys
+     */
+    api.config = function(data) {
+
+        var result;
+
+        for (var key in data) {
+
+            switch (key) {
+                case 'elasticPath':
+                    api.setElasticPath(data[key]);
+                    break;
+                case 'elasticPostalPath':
+                    api.setElasticPostalPath(data[key]);
+                    break;
+                case 'elasticClient':
+                    api.setElasticClient(data[key]);
+                    break;
+                case 'dataPath':
+                    api.setDataPath(data[key]);
+                    break;
+                case 'geonameUrl':
+                    api.setGeoNameUrl(data[key]);
+                    break;
+                case 'geonamePostalUrl':
+                    api.setGeoNamePostalUrl(data[key]);
+                    break;
+                case 'downloadTimeout':
+                    api.setDownloadTimeout(data[key]);
+                    break;
+                case 'fields':
+                    api.setFields(data[key]);
+                    break;
+                case 'transform':
+                    api.setTransform(data[key]);
+                    break;
+                default:
+                    throw new Error("Unknown config key '" + key + "'");
+                    break;
+            }
+
+        }
+
+    };
+
+    /**
+     * Module constructor, you only need to use it if you want to change the default
+     * configuration
+     *
+     * @example
+     * const geolistic = require('geolistic').init({dataPath: '/var/tmp/'});
+     *
+     * @example
+     * const geolistic = require('geolistic');
+     *
+     * @constructor
+     * @function module:geolistic.init
+     * @param {Object} data - configuration options (see config())
+     * @returns {Object} module - returns the public api of the module
+     * @throws if error in options or unknown option keys
+     */
+    api.init  = function(data) {
+
+        api.config(data);
+
+        return Geolistic;
+
+    };
+
+    /**
+     * Create a job to follow the progress of imports and downloads
+     *
+     * Pass the job as option **job** to addFileToElastic(), addPostalFileToElastic(), reindex() or
+     * the download methods. One job can be used for several calls, e.g. to show the progress of all countries.
+     *
+     * Events:
+     * - **start** {Object}: type (import or download) and country, or files (urls) for downloads
+     * - **progress** {Object}: type, country or file, records (imports), bytes, bytesTotal (null if unknown),
+     *   elapsed (seconds), rate (records or bytes per second) and eta (seconds left, null if unknown)
+     * - **countryDone** {Object}: type and country with the result of the import, or file with
+     *   status (succeeded, skipped or failed) and error of a download
+     * - **warning** {Object}: type, country or file and message, e.g. for invalid records and download retries
+     * - **error** {Error}: error that stopped the import or download, also passed to the callback
+     *
+     * @example
+     * const job = geolistic.createJob();
+     * job.on('progress', function (progress) {
+     *     console.log(progress.country + ': ' + progress.records + ' records, ' + progress.eta + ' seconds left');
+     * });
+     * geolistic.addFileToElastic('AT', {job: job});
+     *
+     * @function module:geolistic.createJob
+     * @returns {EventEmitter} job
+     */
+    api.createJob = function () {
+
+        return new events.EventEmitter();
+
+    };
+
+    /**
+     * Set path to where downloaded files should be stored
+     *
+     * Defaults to os.tmpdir()
+     *
+     * @example
+     * geolistic.setDataPath("/tmp/");
+     *
+     * @function module:geolistic.setDataPath
+     * @param {string} pathParam - local path, e.g. "/tmp/"
+     * @throws if error in parameter
+     */
+    api.setDataPath = function (pathParam) {
+
+        if (typeof pathParam !== 'string') {
+            throw new Error("Path is not a valid string");
+        }
+
+        local.dataPath = pathParam;
+
+    };
+
+    /**
+     * Set the source of the GeoName dump files, e.g. an internal mirror
+     *
+     * Country files, admin files, countryInfo.txt, alternate names and daily updates are all
+     * fetched relative to this url, with the same layout as http://download.geonames.org/export/dump/.
+     * A file:// url reads a local directory of pre-fetched files, to work without internet access.
+     * Defaults to http://download.geonames.org/export/dump/
+     *
+     * @example
+     * geolistic.setGeoNameUrl("file:///srv/geonames/dump/");
+     *
+     * @function module:geolistic.setGeoNameUrl
+     * @param {string} urlParam - http(s) or file url of the directory
+     * @throws if error in parameter
+     */
+    api.setGeoNameUrl = function (urlParam) {
+
+        local.geonameDownloadUrl = helperSourceUrl(urlParam);
+
+    };
+
+    /**
+     * Set the source of the GeoName postal code files, see setGeoNameUrl()
+     *
+     * Defaults to http://download.geonames.org/export/zip/
+     *
+     * @example
+     * geolistic.setGeoNamePostalUrl("http://mirror.example.com/geonames/zip/");
+     *
+     * @function module:geolistic.setGeoNamePostalUrl
+     * @param {string} urlParam - http(s) or file url of the directory
+     * @throws if error in parameter
+     */
+    api.setGeoNamePostalUrl = function (urlParam) {
+
+        local.geonamePostalDownloadUrl = helperSourceUrl(urlParam);
+
+    };
+
+    /**
+     * Set how long a download may get no data before it is aborted and retried
+     *
+     * Defaults to 60000 (one minute)
+     *
+     * @example
+     * geolistic.setDownloadTimeout(300000);
+     *
+     * @function module:geolistic.setDownloadTimeout
+     * @param {number} ms - timeout in milliseconds
+     * @throws if error in parameter
+     */
+    api.setDownloadTimeout = function (ms) {
+
+        if (typeof ms !== 'number' || !(ms > 0)) {
+            throw new Error("Download timeout must be a positive number of milliseconds");
+        }
+
+        local.downloadTimeout = ms;
+
+    };
+
+    /**
+     * Select and rename the fields of the location documents stored in elastic
+     *
+     * An array keeps only the listed fields. An object renames fields with a string value, drops
+     * fields with false and keeps the other fields. The schema (see getSchema()) follows the same
+     * fields, so create the index after setting them. Fields added by the transform hook can be listed too.
+     *
+     * search(), autocomplete() and reverseGeocode() query the default field names
+     * (name, asciiName, location, suggest, population, featureClass...), keep them if you use these.
+     *
+     * @example
+     * geolistic.setFields({dem: false, cc2: false, admin3: false, admin4: false, geonameId: 'id'});
+     *
+     * @example
+     * geolistic.setFields(['geonameId', 'name', 'location', 'population']);
+     *
+     * @function module:geolistic.setFields
+     * @param {array|Object|null} fields - fields to keep, or map of renames, null for the default fields
+     * @throws if error in parameter
+     */
+    api.setFields = function (fields) {
+
+        var map = {},
+            names = {},
+            key;
+
+        if (fields === null || fields === undefined) {
+            local.fields = null;
+            return;
+        }
+
+        if (Array.isArray(fields)) {
+
+            fields.forEach(function (field) {
+
+                if (typeof field !== 'string') {
+                    throw new Error("Fields must be strings");
+                }
+                map[field] = field;
+
+            });
+
+        } else if (typeof fields === 'object') {
+
+            for (key in fields) {
+
+                if (fields[key] === false) {
+                    map[key] = null;
+                } else if (fields[key] === true) {
+                    map[key] = key;
+                } else if (typeof fields[key] === 'string' && fields[key]) {
+                    map[key] = fields[key];
+                } else {
+                    throw new Error("Invalid field mapping for '" + key + "', should be a field name, true or false");
+                }
+
+            }
+
+        } else {
+            throw new Error("Fields must be an array or an object");
+        }
+
+        for (key in map) {
+
+            if (map[key] !== null && names[map[key]]) {
+                throw new Error("Field '" + map[key] + "' is mapped more than once");
+            }
+            names[map[key]] = true;
+
+        }
+
+        local.fields = {map: map, only: Array.isArray(fields)};
+
+    };
+
+    /**
+     * Set a hook that is called with each location before it is stored in elastic
+     *
+     * The hook returns the document to store, e.g. the location with computed fields,
+     * or null to skip the location. The fields of setFields() are applied to the returned document.
+     * Used by addFileToElastic() and applyDailyUpdates()
+     *
+     * @example
+     * geolistic.setTransform(function (location) {
+     *     location.isCapital = (location.featureCode === 'PPLC');
+     *     return (location.population > 0 ? location : null);
+     * });
+     *
+     * @function module:geolistic.setTransform
+     * @param {function|null} fnTransform - transform(location) hook, null to remove it
+     * @throws if error in parameter
+     */
+    api.setTransform = function (fnTransform) {
+
+        if (fnTransform !== null && fnTransform !== undefined && typeof fnTransform !== 'function') {
+            throw new Error("Transform must be a function");
+        }
+
+        local.transform = fnTransform || null;
+
+    };
+
+    /**
+     * Elastic schema of the location index, generated from the document fields and setFields()
+     *
+     * data/schema.json is this schema for the default fields, regenerate it with "npm run schema".
+     *
+     * @function module:geolistic.getSchema
+     * @returns {Object} schema with mappings for the configured type
+     */
+    api.getSchema = function () {
+
+        var mapping = {dynamic_templates: [], properties: {}},
+            schema = {mappings: {}},
+            field,
+            name,
+            template;
+
+        for (field in local.geonameLanguageFieldMappings) {
+
+            name = helperFieldName(field);
+
+            if (name !== null) {
+
+                template = {};
+                template['localized' + field.charAt(0).toUpperCase() + field.slice(1)] = {
+                    "path_match": name + ".*",
+                    "mapping": JSON.parse(JSON.stringify(local.geonameLanguageFieldMappings[field]))
+                };
+                mapping.dynamic_templates.push(template);
+
+            }
+
+        }
+
+        for (field in local.geonameFieldMappings) {
+
+            name = helperFieldName(field);
+
+            if (name !== null) {
+                mapping.properties[name] = JSON.parse(JSON.stringify(local.geonameFieldMappings[field]));
+            }
+
+        }
+
+        schema.mappings[local.elasticType] = mapping;
+
+        return schema;
+
+    };
+
+    /**
+     * Set where documents should be stored in elastic in the form of "index/type"
+     *
+     * Defaults to "geonames/geoname", i.e. index "geonames" and type (schema) "geoname"
+     *
+     * @example
+     * geolistic.setElasticPath("geonames/geoname");
+     *
+     * @function module:geolistic.setElasticPath
+     * @param {string} pathParam - "index/type"
+     * @throws if error in parameter
+     */
+    api.setElasticPath = function (pathParam) {
+
+        var elasticPath = helperParseElasticPath(pathParam, 'elasticPath');
+
+        local.elasticIndex = elasticPath[0];
+        local.elasticType = elasticPath[1];
+
+    };
+
+    /**
+     * Set where postal codes should be stored in elastic in the form of "index/type"
+     *
+     * Defaults to "postalcodes/postalcode", see data/postal-schema.json
+     *
+     * @example
+     * geolistic.setElasticPostalPath("postalcodes/postalcode");
+     *
+     * @function module:geolistic.setElasticPostalPath
+     * @param {string} pathParam - "index/type"
+     * @throws if error in parameter
+     */
+    api.setElasticPostalPath = function (pathParam) {
+
+        var elasticPath = helperParseElasticPath(pathParam, 'elasticPostalPath');
+
+        local.elasticPostalIndex = elasticPath[0];
+        local.elasticPostalType = elasticPath[1];
+
+    };
+
+    /**
+     * Set connection object to elastic using client library https://www.npmjs.com/package/elasticsearch
+     *
+     * Are only used if you call methods that need to access elastic. You can use other library
+     * methods without providing a connection
+     *
+     * @example
+     * geolistic.setElasticPath("geonames/geoname");
+     *
+     * @function module:geolistic.setElasticClient
+     * @param {Object} dbClient - elastic connection object
+     * @throws if error in parameter
+     */
+    api.setElasticClient = function (dbClient) {
+
+        if (typeof dbClient !== 'object') {
+            throw new Error("elasticClient is not a valid object");
+        }
+
+        local.client = dbClient;
+        local.elasticVersion = null;
+
+    };
+
+    /**
+     * Create the index for locations (or postal codes) with the mapping from data/schema.json
+     * (or data/postal-schema.json)
+     *
+     * The cluster version is detected first: elastic 7 and later gets a typeless mapping,
+     * older versions get the mapping under the configured type (see setElasticPath).
+     *
+     * Options:
+     * - **recreate** {boolean}: delete the index first if it exists. Defaults to false
+     * - **postalCodes** {boolean}: create the postal code index instead (see setElasticPostalPath)
+     * - **index** {string}: name of the index to create, defaults to the configured index
+     *
+     * Callback:
+     * - **result** {Object}: index name, created and the detected major elastic version
+     *
+     * @example
+     * geolistic.createIndex({recreate: true}, function (err, result) {});
+     *
+     * @function module:geolistic.createIndex
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.createIndex = function(optionsOrCb, cb) {
+
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
+
+        optionsOrCb = optionsOrCb || {};
+
+        const index = optionsOrCb.index ||
+            (optionsOrCb.postalCodes ? local.elasticPostalIndex : local.elasticIndex);
+
+        helperElasticVersion(function (err, version) {
+
+            if (err) {
+                (cb ? cb(err) : null);
+                return;
+            }
+
+            local.client.indices.exists({index: index}, function (err, exists) {
+
+                if (err) {
+                    (cb ? cb(err) : null);
+                    return;
+                }
+
+                function helperCreate() {
+
+                    local.client.indices.create({
+                        index: index,
+                        body: {mappings: helperMapping(optionsOrCb.postalCodes)}
+                    }, function (err) {
+
+                        if (err) {
+                            (cb ? cb(err) : null);
+                            return;
+                        }
+
+                        (cb ? cb(null, {index: index, created: true, version: version}) : null);
+
+                    });
+
+                }
+
+                if (!exists) {
+                    helperCreate();
+                    return;
+                }
+
+                if (!optionsOrCb.recreate) {
+                    (cb ? cb(new Error("Index '" + index + "' already exists, use the recreate option to replace it")) : null);
+                    return;
+                }
+
+                local.client.indices.delete({index: index}, function (err) {
+
+                    if (err) {
+                        (cb ? cb(err) : null);
+                        return;
+                    }
+
+                    helperCreate();
+
+                });
+
+            });
+
+        });
+
+    };
+
+    /**
+     * Make sure the index for locations (or postal codes) exists and matches the schema, use it before imports
+     *
+     * Creates a missing index like createIndex(). An existing index is compared with the schema and
+     * fields that are missing or have another type are reported as drift, which fails with an error
+     * unless ignoreDrift is set.
+     *
+     * Options:
+     * - **postalCodes** {boolean}: check the postal code index instead (see setElasticPostalPath)
+     * - **ignoreDrift** {boolean}: only report drift in the result instead of failing. Defaults to false
+     *
+     * Callback:
+     * - **result** {Object}: index name, created, the detected major elastic version and drift (array of differences)
+     *
+     * @function module:geolistic.ensureIndex
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.ensureIndex = function(optionsOrCb, cb) {
+
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
+
+        optionsOrCb = optionsOrCb || {};
+
+        const index = (optionsOrCb.postalCodes ? local.elasticPostalIndex : local.elasticIndex);
+
+        helperElasticVersion(function (err, version) {
+
+            if (err) {
+                (cb ? cb(err) : null);
+                return;
+            }
+
+            local.client.indices.exists({index: index}, function (err, exists) {
+
+                if (err) {
+                    (cb ? cb(err) : null);
+                    return;
+                }
+
+                if (!exists) {
+
+                    api.createIndex({postalCodes: optionsOrCb.postalCodes}, function (err, result) {
+
+                        if (err) {
+                            (cb ? cb(err) : null);
+                            return;
+                        }
+
+                        result.drift = [];
+                        (cb ? cb(null, result) : null);
+
+                    });
+
+                    return;
+
+                }
+
+                local.client.indices.getMapping({index: index}, function (err, response) {
+
+                    var mappings,
+                        drift;
+
+                    if (err) {
+                        (cb ? cb(err) : null);
+                        return;
+                    }
+
+                    // an alias is returned with the name of the index it points to
+                    mappings = response[Object.keys(response)[0]].mappings || {};
+                    if (version < 7) {
+                        mappings = mappings[optionsOrCb.postalCodes ? local.elasticPostalType : local.elasticType] || {};
+                    }
+
+                    drift = helperMappingDrift(helperMapping(optionsOrCb.postalCodes), mappings);
+
+                    if (drift.length && !optionsOrCb.ignoreDrift) {
+                        (cb ? cb(new Error("Mapping of index '" + index + "' differs from schema (" +
+                            drift.join(", ") + "), recreate the index to fix it")) : null);
+                        return;
+                    }
+
+                    (cb ? cb(null, {index: index, created: false, version: version, drift: drift}) : null);
+
+                });
+
+            });
+
+        });
+
+    };
+
+    /**
+     * Create a new timestamped index for locations, e.g. "geonames-20171019143005"
+     *
+     * The configured index name is used as alias for the versioned indices, import into the new
+     * index with the index option of addFileToElastic() and switch the alias with switchAlias()
+     * when done. Or use reindex() which does it all.
+     *
+     * Callback:
+     * - **result** {Object}: index name, created and the detected major elastic version
+     *
+     * @function module:geolistic.createVersionedIndex
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     * @see module:geolistic.reindex
+     */
+    api.createVersionedIndex = function(cb) {
+
+        const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').substr(0, 14);
+
+        api.createIndex({index: local.elasticIndex + '-' + timestamp}, cb);
+
+    };
+
+    /**
+     * Atomically point the alias (the configured index name) to a versioned index
+     *
+     * The index is validated first: it must contain documents, and exactly expectedCount
+     * documents (or minCount to maxCount) if given. The alias is then moved from all other indices in one request,
+     * so searches never see a half imported index.
+     *
+     * Options:
+     * - **expectedCount** {number}: number of documents the index must contain
+     * - **minCount**, **maxCount** {number}: range the number of documents must be in, e.g. for imports that overlap
+     * - **retain** {number}: prune old versioned indices afterwards and keep this many (see pruneIndices)
+     *
+     * Callback:
+     * - **result** {Object}: alias, index, count, previous (indices the alias was removed from) and pruned
+     *
+     * @function module:geolistic.switchAlias
+     * @param {string} index - versioned index, e.g. "geonames-20171019143005"
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.switchAlias = function(index, optionsOrCb, cb) {
+
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
+
+        optionsOrCb = optionsOrCb || {};
+
+        const alias = local.elasticIndex,
+            client = local.client;
+
+        if (!index || typeof index !== 'string' || index === alias) {
+            (cb ? cb(new Error("Invalid index '" + index + "', should be a versioned index")) : null);
+            return;
+        }
+
+        if (!client) {
+            (cb ? cb(new Error("No db connection to elastic")) : null);
+            return;
+        }
+
+        helperBeforeRequest(false, function (err) {
+
+            if (err) {
+                (cb ? cb(err) : null);
+                return;
+            }
+
+            client.indices.refresh({index: index}, function (err) {
+
+                if (err) {
+                    (cb ? cb(err) : null);
+                    return;
+                }
+
+                client.count({index: index}, function (err, response) {
+
+                    if (err) {
+                        (cb ? cb(err) : null);
+                        return;
+                    }
+
+                    if (!response.count) {
+                        (cb ? cb(new Error("Index '" + index + "' is empty, alias not switched")) : null);
+                        return;
+                    }
+
+                    if (optionsOrCb.expectedCount !== undefined && response.count !== optionsOrCb.expectedCount) {
+                        (cb ? cb(new Error("Index '" + index + "' has " + response.count + " documents, expected " +
+                            optionsOrCb.expectedCount + ", alias not switched")) : null);
+                        return;
+                    }
+
+                    if ((optionsOrCb.minCount !== undefined && response.count < optionsOrCb.minCount) ||
+                        (optionsOrCb.maxCount !== undefined && response.count > optionsOrCb.maxCount)) {
+                        (cb ? cb(new Error("Index '" + index + "' has " + response.count + " documents, expected " +
+                            (optionsOrCb.minCount === undefined ? 0 : optionsOrCb.minCount) + " to " +
+                            (optionsOrCb.maxCount === undefined ? Infinity : optionsOrCb.maxCount) +
+                            ", alias not switched")) : null);
+                        return;
+                    }
+
+                    helperAliasIndices(alias, function (err, previous) {
+
+                        var actions;
+
+                        if (err) {
+                            (cb ? cb(err) : null);
+                            return;
+                        }
+
+                        actions = previous.map(function (previousIndex) {
+                            return {"remove": {"index": previousIndex, "alias": alias}};
+                        });
+                        actions.push({"add": {"index": index, "alias": alias}});
+
+                        client.indices.updateAliases({body: {actions: actions}}, function (err) {
+
+                            var result = {alias: alias, index: index, count: response.count, previous: previous, pruned: []};
+
+                            if (err) {
+                                (cb ? cb(err) : null);
+                                return;
+                            }
+
+                            if (optionsOrCb.retain === undefined) {
+                                (cb ? cb(null, result) : null);
+                                return;
+                            }
+
+                            api.pruneIndices(optionsOrCb.retain, function (err, pruned) {
+
+                                if (err) {
+                                    (cb ? cb(err) : null);
+                                    return;
+                                }
+
+                                result.pruned = pruned;
+                                (cb ? cb(null, result) : null);
+
+                            });
+
+                        });
+
+                    });
+
+                });
+
+            });
+
+        });
+
+    };
+
+    /**
+     * Delete old versioned indices of the alias (the configured index name)
+     *
+     * Only indices named like createVersionedIndex() names them are considered. The newest
+     * retain indices are kept, and the index the alias points to is never deleted.
+     *
+     * Callback:
+     * - **pruned** {array}: names of deleted indices
+     *
+     * @function module:geolistic.pruneIndices
+     * @param {number} retain - how many versioned indices to keep
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.pruneIndices = function(retain, cb) {
+
+        const alias = local.elasticIndex,
+            client = local.client,
+            versioned = new RegExp('^' + alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '-\\d{14}$');
+
+        if (typeof retain !== 'number' || retain < 0) {
+            (cb ? cb(new Error("Invalid retain '" + retain + "', should be a number")) : null);
+            return;
+        }
+
+        if (!client) {
+            (cb ? cb(new Error("No db connection to elastic")) : null);
+            return;
+        }
+
+        helperAliasIndices(alias, function (err, current) {
+
+            if (err) {
+                (cb ? cb(err) : null);
+                return;
+            }
+
+            client.indices.get({index: alias + '-*'}, function (err, response) {
+
+                var pruned;
+
+                if (err) {
+                    (cb ? cb(err) : null);
+                    return;
+                }
+
+                // timestamped names sort by age, newest first
+                pruned = Object.keys(response).filter(function (index) {
+                    return versioned.test(index);
+                }).sort().reverse().slice(retain).filter(function (index) {
+                    return current.indexOf(index) === -1;
+                });
+
+                if (!pruned.length) {
+                    (cb ? cb(null, pruned) : null);
+                    return;
+                }
+
+                client.indices.delete({index: pruned}, function (err) {
+
+                    (cb ? cb(err, (err ? undefined : pruned)) : null);
+
+                });
+
+            });
+
+        });
+
+    };
+
+    /**
+     * Import countries into a new versioned index and switch the alias to it when done
+     *
+     * Searches keep using the old index until the import is finished and validated, see
+     * createVersionedIndex() and switchAlias(). The index name configured with setElasticPath()
+     * is the alias, so it must not be an existing (non-alias) index, this is checked before importing.
+     * If the import or validation fails, the new index is deleted, so pruning never keeps it instead
+     * of a working index. The index must contain the added locations, if the countries can overlap
+     * (datasets, e.g. ["cities500", "NO"]) at least as many as the largest one added.
+     *
+     * Options:
+     * - **retain** {number}: how many versioned indices to keep. Defaults to 2
+     * - **countryAdded** {function}: Hook executed after each country, country code and result are passed as params
+     * - all options of addFileToElastic(), e.g. classFilters and bufferAdded
+     *
+     * Callback:
+     * - **result** {Object}: index, processed, added, failed, invalid and pruned (deleted old indices)
+     *
+     * @function module:geolistic.reindex
+     * @param {array} countries - iso country codes or datasets, see addFileToElastic()
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.reindex = function(countries, optionsOrCb, cb) {
+
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
+
+        optionsOrCb = optionsOrCb || {};
+
+        const fnCountryAdded = optionsOrCb.countryAdded || null;
+
+        var result = {index: null, processed: 0, added: 0, failed: 0, invalid: 0, pruned: []},
+            options = {},
+            overlapping,
+            maxAdded = 0;
+
+        if (!Array.isArray(countries) || !countries.length) {
+            (cb ? cb(new Error("countries incorrect (array with two character strings)")) : null);
+            return;
+        }
+
+        for (var key in optionsOrCb) {
+            if (key !== 'retain' && key !== 'countryAdded') {
+                options[key] = optionsOrCb[key];
+            }
+        }
+
+        if (!local.client) {
+            (cb ? cb(new Error("No db connection to elastic")) : null);
+            return;
+        }
+
+        // country files do not overlap, datasets (e.g. cities500 and NO) or a country given twice can
+        overlapping = countries.some(function (country, i) {
+            return !/^[a-z]{2}$/i.test(country) || countries.slice(0, i).some(function (previous) {
+                return previous.toUpperCase() === country.toUpperCase();
+            });
+        });
+
+        function helperImport() {
+
+            api.createVersionedIndex(function (err, created) {
+
+                if (err) {
+                    (cb ? cb(err) : null);
+                    return;
+                }
+
+                result.index = options.index = created.index;
+
+                // the alias still points to the old index, so the half imported one is removed
+                function helperDeleteIndex(err) {
+
+                    local.client.indices.delete({index: result.index}, function () {
+
+                        (cb ? cb(err) : null);
+
+                    });
+
+                }
+
+                (function addCountry(index) {
+
+                    if (index >= countries.length) {
+
+                        // locations in several sources are one document, so only a range is known
+                        api.switchAlias(result.index, (overlapping ? {minCount: maxAdded, maxCount: result.added} :
+                            {expectedCount: result.added}), function (err) {
+
+                            if (err) {
+                                helperDeleteIndex(err);
+                                return;
+                            }
+
+                            // pruned after the switch, errors here must not delete the index the alias points to
+                            api.pruneIndices((optionsOrCb.retain === undefined ? 2 : optionsOrCb.retain), function (err, pruned) {
+
+                                if (err) {
+                                    (cb ? cb(err) : null);
+                                    return;
+                                }
+
+                                result.pruned = pruned;
+                                (cb ? cb(null, result) : null);
+
+                            });
+
+                        });
+
+                        return;
+
+                    }
+
+                    api.addFileToElastic(countries[index], options, function (err, added) {
+
+                        if (err) {
+                            helperDeleteIndex(err);
+                            return;
+                        }
+
+                        result.processed += added.processed;
+                        result.added += added.added;
+                        result.failed += added.failed;
+                        result.invalid += added.invalid;
+                        maxAdded = Math.max(maxAdded, added.added);
+
+                        (fnCountryAdded ? fnCountryAdded(countries[index], added) : null);
+                        addCountry(index + 1);
+
+                    });
+
+                })(0);
+
+            });
+
+        }
+
+        // an index with the name of the alias would only fail the switch after the whole import
+        helperBeforeRequest(false, function (err) {
+
+            if (err) {
+                (cb ? cb(err) : null);
+                return;
+            }
+
+            helperAliasIndices(local.elasticIndex, function (err) {
+
+                if (err) {
+                    (cb ? cb(err) : null);
+                    return;
+                }
+
+                helperImport();
+
+            });
+
+        });
+
+    };
+
+    /**
+     * Get GeoName's country list from http://download.geonames.org/export/dump/countryInfo.txt
+     * (or countryInfo.txt of the source set with setGeoNameUrl())
+     *
+     * Options:
+     * - **allColoumns** {boolean}: return [all coloumns](#.geonameCountryMapper) (defaults to only iso-codes)
+     *
+     * Callback:
+     * - **data** {array}: ISO codes of countries or array of JSON objects for each country
+     * @see module:geolistic.geonameCountryMapper
+     *
+     * @function module:geolistic.getGeoNameCountries
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback(err, data)
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.getGeoNameCountries = function(optionsOrCb, cb) {
+
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
+
+        cb = helperOnce(cb);
+
+        const that = this,
+            allColoumns = optionsOrCb.allColoumns || false;
+
+        var countries,
+            parser,
+            transformer;
+
+
+        const downloadUrl = local.geonameDownloadUrl.replace("%s", "countryInfo.txt");
+
+        countries = [];
+        // the comment lines at the top of the file have fewer columns
+        parser = parse({delimiter: "\t",
+            quote: '',
+            relax: true,
+            relax_column_count: true,
+            escape: ""});
+        parser.on('error', cb);
+
+        transformer = transform(function(record, callback) {
+
+            if (!record[0].startsWith('#')) {
+
+                countries.push((allColoumns ? record : record[0]));
+
+            }
+            callback();
+
+        }, {parallel: 10});
+
+        helperRequest(downloadUrl, {}, function (err, input) {
+
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            input.on('error', cb);
+            input.pipe(parser).pipe(transformer);
+
+        });
+
+        transformer.on('finish', function () {
+
+            cb(null, countries);
+
+        });
+
+    };
+
+    /**
+     * Stream the locations of an individual country datafile (XX.txt) as mapped location objects
+     *
+     * The stream does not depend on elastic, pipe it into any storage or use it to build custom importers.
+     * Locations have [these fields](#.geonameLocationMapper) plus location and the admin names.
+     * The suggest field for autocomplete() is only added to the documents indexed in elastic.
+     * The recordsProcessed property of the stream counts the parsed records, including filtered ones.
+     * Invalid records (e.g. a population that is not a number) are skipped, counted in the recordsInvalid
+     * property and emitted as 'invalid' events with the reason and the location.
+     * Errors, e.g. a missing datafile, are emitted as 'error' events on the stream.
+     *
+     * Instead of a country code, a .zip path or a http(s)/file url of a zip (e.g. AT.zip) can be given.
+     * The datafile (AT.txt) is then decompressed while streaming, without extracting it to disk.
+     *
+     * Options:
+     * - **classFilters** {array}: Include filter on fclass, e.g. ['A', 'P'] to include country/area and city
+     * - **filter** {Object}: Include filter on other fields, all given conditions must match:
+     *   - **featureClass**, **featureCode**, **country**, **timezone**, **admin1**, **admin2**, **admin3**, **admin4**
+     *     {string|array}: value or values to match, e.g. {featureCode: ['PPLA', 'PPLC']}
+     *   - **minPopulation**, **maxPopulation** {number}: population range
+     *   - **bbox** {array}: bounding box [minLon, minLat, maxLon, maxLat]
+     *   - **polygon** {Object}: GeoJSON Polygon or MultiPolygon, as geometry or feature
+     *   - **predicate** {function}: custom check, the location is passed as param and kept if it returns true
+     * - **adminNames** {boolean}: Add admin1Name, admin2Name and countryName from the admin files in dataPath. Defaults to true
+     * - **download** {boolean}: Stream the zip of the country from the GeoName source (see setGeoNameUrl) instead of reading dataPath
+     *
+     * @function module:geolistic.createLocationStream
+     * @param {string} countryCode - iso code of country, dataset allCountries, cities500, cities1000, cities5000 or cities15000, or .zip path or url
+     * @param {Object} [options] - see above
+     * @returns {stream.Readable} object stream of locations
+     */
+    api.createLocationStream = function(countryCode, options) {
+
+        options = options || {};
+
+        const testMode = (countryCode === '00'),
+            featureClassFilters = options.classFilters || null,
+            useAdminNames = (options.adminNames !== false),
+            locations = new stream.PassThrough({objectMode: true});
+
+        var dataPath = local.dataPath,
+            source = (helperZipSourceEntry(countryCode) ? countryCode : null),
+            recordFilter;
+
+        locations.recordsProcessed = 0;
+        locations.recordsInvalid = 0;
+
+        function helperStreamError(err) {
+
+            process.nextTick(function () {
+
+                locations.emit('error', err);
+
+            });
+            return locations;
+
+        }
+
+        if (!source && !helperDatasetName(countryCode, local.geonameDatasets)) {
+            return helperStreamError(new Error("Invalid countryCode '" + countryCode + "', should be two char string or one of " +
+                local.geonameDatasets.join(', ')));
+        }
+
+        try {
+            recordFilter = helperRecordFilter(options.filter);
+        } catch (err) {
+            return helperStreamError(err);
+        }
+
+        if (testMode) {
+
+            countryCode = 'NU';
+            dataPath = './test/data/';
+
+        }
+
+        if (!source) {
+
+            countryCode = helperDatasetName(countryCode, local.geonameDatasets);
+
+            if (options.download) {
+                source = local.geonameDownloadUrl.replace("%s", countryCode + ".zip");
+            }
+
+        }
+
+        function helperStreamLocations(adminNames) {
+
+            helperRecordStream((source ? helperZipSourceStream(source) : path.join(dataPath, countryCode + '.txt')),
+                "Missing datafile for " + countryCode, function (record) {
+
+                if (featureClassFilters && featureClassFilters.length !== 0 &&
+                    featureClassFilters.indexOf(record[local.geonameLocationMapper["featureClass"]]) === -1) {
+                    return null;
+                }
+
+                var location = helperMapLocation(record, adminNames),
+                    invalidReason = helperValidateLocation(location);
+
+                if (invalidReason) {
+                    locations.recordsInvalid += 1;
+                    locations.emit('invalid', invalidReason, location);
+                    return null;
+                }
+
+                return (!recordFilter || recordFilter(location) ? location : null);
+
+            }, locations);
+
+        }
+
+        if (!useAdminNames) {
+            helperStreamLocations(null);
+            return locations;
+        }
+
+        helperLoadAdminNames(dataPath, function (err, lookup) {
+
+            if (err) {
+                locations.emit('error', err);
+                return;
+            }
+
+            helperStreamLocations(lookup);
+
+        });
+
+        return locations;
+
+    };
+
+    /**
+     * Create a stream that turns location objects into the text of an export format
+     *
+     * Formats:
+     * - **geojson**: FeatureCollection with a Point feature per location, the fields are feature properties
+     * - **ndjson**: one JSON location per line
+     * - **csv**: header line and [these columns](#.exportCsvFields)
+     *
+     * The exported property of the stream counts the written locations.
+     *
+     * @function module:geolistic.createExportStream
+     * @param {string} format - geojson, ndjson or csv
+     * @returns {stream.Transform} stream to pipe createLocationStream() into
+     * @throws {Error} on invalid format
+     */
+    api.createExportStream = function(format) {
+
+        const exportFormat = helperExportFormat(format),
+            exporter = new stream.Transform({
+                writableObjectMode: true,
+                transform: function (location, encoding, callback) {
+
+                    if (!exporter.exported && exportFormat.head) {
+                        exporter.push(exportFormat.head);
+                    }
+
+                    callback(null, exportFormat.location(location, exporter.exported++));
+
+                },
+                flush: function (callback) {
+
+                    if (!exporter.exported && exportFormat.head) {
+                        exporter.push(exportFormat.head);
+                    }
+
+                    callback(null, exportFormat.tail || null);
+
+                }
+            });
+
+        exporter.exported = 0;
+
+        return exporter;
+
+    };
+
+    /**
+     * Export the locations of an individual country datafile (XX.txt) to a GeoJSON, NDJSON or CSV file
+     *
+     * No elastic is needed, the locations are read with createLocationStream.
+     *
+     * Options:
+     * - **format** {string}: geojson, ndjson or csv (see createExportStream). Defaults to ndjson
+     * - **out** {string|stream.Writable}: file to write, or a writable stream (e.g. process.stdout). Required
+     * - **classFilters** {array}: Include filter on fclass, e.g. ['A', 'P'] to include country/area and city
+     * - **filter** {Object}: Include filter, see createLocationStream()
+     * - **adminNames** {boolean}: Add admin1Name, admin2Name and countryName from the admin files in dataPath. Defaults to true
+     * - **invalidRecord** {function}: Hook executed for each skipped invalid record, reason and location are passed as params
+     * - **download** {boolean}: Stream the country zip from the GeoName source instead of reading dataPath
+     *
+     * Callback:
+     * - **data** {Object}: {processed, exported, invalid} number of parsed records, exported locations and skipped invalid records
+     *
+     * @function module:geolistic.exportLocations
+     * @param {string} countryCode - iso code of country, dataset or .zip path or url, see createLocationStream()
+     * @param {Object} options - see above
+     * @param {requestCallback} cb - callback(err, data)
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.exportLocations = function(countryCode, options, cb) {
+
+        if (typeof options === 'function') {
+            cb = options;
+            options = {};
+        }
+
+        options = options || {};
+        cb = helperOnce(cb);
+
+        const isFile = (typeof options.out === 'string');
+
+        var locations,
+            exporter,
+            output;
+
+        if (!isFile && !(options.out && typeof options.out.write === 'function')) {
+
+            cb(new Error("Missing out, should be a file path or writable stream"));
+            return;
+
+        }
+
+        try {
+
+            exporter = api.createExportStream(options.format || 'ndjson');
+
+        } catch (err) {
+
+            cb(err);
+            return;
+
+        }
+
+        locations = api.createLocationStream(countryCode, {
+            classFilters: options.classFilters,
+            filter: options.filter,
+            adminNames: options.adminNames,
+            download: options.download
+        });
+
+        locations.on('error', function (err) {
+
+            exporter.unpipe();
+
+            if (isFile) {
+
+                // don't leave a partial export behind
+                output.on('close', function () {
+
+                    fs.unlink(options.out, function () {
+
+                        cb(err);
+
+                    });
+
+                });
+                output.destroy();
+                return;
+
+            }
+
+            cb(err);
+
+        });
+
+        if (options.invalidRecord) {
+            locations.on('invalid', options.invalidRecord);
+        }
+
+        output = (isFile ? fs.createWriteStream(options.out) : options.out);
+        output.on('error', cb);
+
+        exporter.on('end', function () {
+
+            function helperDone() {
+
+                cb(null, {processed: locations.recordsProcessed, exported: exporter.exported,
+                    invalid: locations.recordsInvalid});
+
+            }
+
+            (isFile ? output.on('finish', helperDone) : helperDone());
+
+        });
+
+        locations.pipe(exporter).pipe(output, {end: isFile});
+
+    };
+
+    /**
+     * Parse and index individual country datafiles (XX.txt) into elastic
+     *
+     * The locations are read with createLocationStream.
+     *
+     * Options:
+     * - **bufferRecords** {number}: Buffer x records before indexing in elastic with batch. Defaults to 1000
+     * - **bufferBytes** {number}: Buffer until a bulk request has x bytes instead, e.g. 5242880 for 5mb. bufferRecords is then only applied if given
+     * - **bulkConcurrency** {number}: Bulk requests to keep in flight, parsing waits when all are busy so memory stays bounded. Defaults to 1
+     * - **classFilters** {array}: Include filter on fclass, e.g. ['A', 'P'] to include country/area and city (see "feature classes" at [geonames.org](http://download.geonames.org/export/dump/))
+     * - **filter** {Object}: Include filter on feature code, population range, bbox, polygon, timezone, admin codes or a predicate function, see createLocationStream()
+     * - **bufferAdded** {function}: Hook that is executed after every buffer commit to elastic, recordsProcessed is passed as param
+     * - **adminNames** {boolean}: Add admin1Name, admin2Name and countryName from the admin files in dataPath (see downloadGeoNameAdminFiles). Defaults to true
+     * - **index** {string}: Index to add to instead of the configured index, e.g. a versioned index (see createVersionedIndex)
+     * - **invalidRecord** {function}: Hook executed for each skipped invalid record, reason and location are passed as params
+     * - **retries** {number}: Retries of bulk requests and documents that failed with overload (429) or timeout. Defaults to 3
+     * - **retryDelay** {number}: Milliseconds before the first retry, doubled for each retry. Defaults to 500
+     * - **deadLetterFile** {string}: File to append documents to that elastic rejected, one JSON object per line. Defaults to dataPath/geolistic-failed.ndjson
+     * - **download** {boolean}: Download and index the country zip in one pass, without writing it to disk (see createLocationStream)
+     * - **job** {EventEmitter}: Job to report start, progress, warnings and countryDone on, see createJob()
+     *
+     * Callback:
+     * - **data** {Object}: {processed, added, failed, invalid} number of parsed records, added locations, locations rejected by elastic and skipped invalid records
+     *
+     * @function module:geolistic.addFileToElastic
+     * @param {string} countryCode - iso code of country, dataset allCountries, cities500, cities1000, cities5000 or cities15000, or .zip path or url
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.addFileToElastic = function(countryCode, optionsOrCb, cb) {
+
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
+
+        const testMode = (countryCode === '00'),
+            index = optionsOrCb.index || local.elasticIndex;
+
+        var locations,
+            job;
+
+        if (!helperZipSourceEntry(countryCode) && !helperDatasetName(countryCode, local.geonameDatasets)) {
+
+            (cb ? cb(new Error("Invalid countryCode '" + countryCode + "', should be two char string or one of " +
+                local.geonameDatasets.join(', '))) : null);
+            return;
+
+        }
+
+        locations = api.createLocationStream(countryCode, {
+            classFilters: optionsOrCb.classFilters,
+            filter: optionsOrCb.filter,
+            adminNames: optionsOrCb.adminNames,
+            download: optionsOrCb.download
+        });
+
+        if (optionsOrCb.invalidRecord) {
+            locations.on('invalid', optionsOrCb.invalidRecord);
+        }
+
+        job = helperImportJob(optionsOrCb.job, countryCode, locations, optionsOrCb.bufferAdded);
+
+        helperBeforeRequest(testMode, function (err) {
+
+            if (err) {
+                locations.destroy();
+                job.done(err);
+                (cb ? cb(err) : null);
+                return;
+            }
+
+            helperIndexStream(locations, {
+                client: (testMode ? helperTestClient() : local.client),
+                bufferRecords: optionsOrCb.bufferRecords,
+                bufferBytes: optionsOrCb.bufferBytes,
+                bulkConcurrency: optionsOrCb.bulkConcurrency,
+                bufferAdded: job.bufferAdded,
+                retries: optionsOrCb.retries,
+                retryDelay: optionsOrCb.retryDelay,
+                deadLetterFile: optionsOrCb.deadLetterFile,
+                transform: helperDocument
+            }, function (location) {
+
+                return { "index" : { _index: index,
+                    _type: helperType(local.elasticType),
+                    _id: location.geonameId } };
+
+            }, function (err, result) {
+
+                if (result) {
+                    result.invalid = locations.recordsInvalid;
+                }
+
+                job.done(err, result);
+                (cb ? cb(err, result) : null);
+
+            });
+
+        });
+
+    };
+
+    /**
+     * Parse and index individual country postal code files (postalcodes/XX.txt) into elastic
+     *
+     * Postal codes are stored in their own index (see setElasticPostalPath), with
+     * [these fields](#.geonamePostalCodeMapper) and a geo_point "location". Empty columns are null,
+     * latitude, longitude and accuracy numbers. Invalid records (e.g. without coordinates) are skipped.
+     *
+     * Options:
+     * - **bufferRecords** {number}: Buffer x records before indexing in elastic with batch. Defaults to 1000
+     * - **bufferAdded** {function}: Hook that is executed after every buffer commit to elastic, recordsProcessed is passed as param
+     * - **bufferBytes**, **bulkConcurrency**, **retries**, **retryDelay**, **deadLetterFile**, **job**, **invalidRecord**: see addFileToElastic()
+     *
+     * Callback:
+     * - **data** {Object}: {processed, added, failed, invalid} number of parsed records, added and rejected postal codes
+     *   and skipped invalid records
+     *
+     * @function module:geolistic.addPostalFileToElastic
+     * @param {string} countryCode - iso code of country, or allCountries
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.addPostalFileToElastic = function(countryCode, optionsOrCb, cb) {
+
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
+
+        const that = this,
+            testMode = (countryCode === '00');
+
+        var dataPath = local.dataPath,
+            client = local.client,
+            postalCodes,
+            job;
+
+        if (!helperDatasetName(countryCode, local.geonamePostalDatasets)) {
+
+            (cb ? cb(new Error("Invalid countryCode '" + countryCode + "', should be two char string or one of " +
+                local.geonamePostalDatasets.join(', '))) : null);
+            return;
+
+        }
+
+        if (testMode) {
+
+            // Niue has no postal codes, so test mode uses a Norwegian sample
+            countryCode = 'NO';
+            dataPath = './test/data/';
+            client = helperTestClient();
+
+        }
+
+        countryCode = helperDatasetName(countryCode, local.geonamePostalDatasets);
+
+        postalCodes = helperRecordStream(path.join(dataPath, local.postalCodesDir, countryCode + '.txt'),
+            "Missing postal code datafile for " + countryCode, function (record) {
+
+                const postalCode = helperMapPostalCode(record),
+                    invalidReason = helperValidatePostalCode(postalCode);
+
+                if (invalidReason) {
+                    postalCodes.recordsInvalid += 1;
+                    postalCodes.emit('invalid', invalidReason, postalCode);
+                    return null;
+                }
+
+                return postalCode;
+
+            });
+        postalCodes.recordsInvalid = 0;
+
+        if (optionsOrCb.invalidRecord) {
+            postalCodes.on('invalid', optionsOrCb.invalidRecord);
+        }
+
+        job = helperImportJob(optionsOrCb.job, countryCode, postalCodes, optionsOrCb.bufferAdded);
+
+        helperBeforeRequest(testMode, function (err) {
+
+            if (err) {
+                postalCodes.destroy();
+                job.done(err);
+                (cb ? cb(err) : null);
+                return;
+            }
+
+            helperIndexStream(postalCodes, {
+                client: client,
+                bufferRecords: optionsOrCb.bufferRecords,
+                bufferBytes: optionsOrCb.bufferBytes,
+                bulkConcurrency: optionsOrCb.bulkConcurrency,
+                bufferAdded: job.bufferAdded,
+                retries: optionsOrCb.retries,
+                retryDelay: optionsOrCb.retryDelay,
+                deadLetterFile: optionsOrCb.deadLetterFile
+            }, function (postalCode) {
+
+                // the same postal code can cover several places
+                return { "index" : { _index: local.elasticPostalIndex,
+                    _type: helperType(local.elasticPostalType),
+                    _id: [postalCode.country, postalCode.postalCode, postalCode.placeName].join('-') } };
+
+            }, function (err, result) {
+
+                if (result) {
+                    result.invalid = postalCodes.recordsInvalid;
+                }
+
+                job.done(err, result);
+                (cb ? cb(err, result) : null);
+
+            });
+
+        });
+
+    };
+
+    /**
+     * Look up the places of a postal code in a country
+     *
+     * Callback:
+     * - **data** {array}: postal code documents with placeName, admin names/codes, latitude, longitude and location
+     *
+     * @function module:geolistic.lookupPostalCode
+     * @param {string} country - iso code of country
+     * @param {string} code - postal code, e.g. "0150"
+     * @param {requestCallback} cb - callback(err, data)
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.lookupPostalCode = function(country, code, cb) {
+
+        if (!country || typeof country !== 'string' || country.length !== 2) {
+            (cb ? cb(new Error("Invalid country '" + country + "', should be two char string")) : null);
+            return;
+        }
+
+        if (!local.client) {
+            (cb ? cb(new Error("No db connection to elastic")) : null);
+            return;
+        }
+
+        helperBeforeRequest(false, function (err) {
+
+            if (err) {
+                (cb ? cb(err) : null);
+                return;
+            }
+
+            local.client.search({
+                index: local.elasticPostalIndex,
+                type: helperType(local.elasticPostalType),
+                body: {"query":
+                        {"bool":
+                            {"filter": [
+                                {"term": {"country": country.toLocaleUpperCase()}},
+                                {"term": {"postalCode": String(code)}}
+                            ]}
+                        }
+                    }
+            }, function (err, searchResult) {
+
+                if (err) {
+                    (cb ? cb(err) : null);
+                    return;
+                }
+
+                (cb ? cb(null, searchResult.hits.hits.map(function (hit) {
+                    return hit._source;
+                })) : null);
+
+            });
+
+        });
+
+    };
+
+    /**
+     * Search postal codes by the start of a code or a place name, e.g. for zip code autocomplete
+     *
+     * Options:
+     * - **country** {string}: only search in this country
+     * - **size** {number}: max number of results. Defaults to 10
+     *
+     * Callback:
+     * - **data** {array}: postal code documents, see lookupPostalCode()
+     *
+     * @function module:geolistic.searchPostalCodes
+     * @param {string} text - start of postal code or place name
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback(err, data)
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.searchPostalCodes = function(text, optionsOrCb, cb) {
+
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
+
+        var filters = [];
+
+        if (!text || typeof text !== 'string') {
+            (cb ? cb(new Error("Invalid search text '" + text + "'")) : null);
+            return;
+        }
+
+        if (!local.client) {
+            (cb ? cb(new Error("No db connection to elastic")) : null);
+            return;
+        }
+
+        if (optionsOrCb.country) {
+            filters.push({"term": {"country": optionsOrCb.country.toLocaleUpperCase()}});
+        }
+
+        helperBeforeRequest(false, function (err) {
+
+            if (err) {
+                (cb ? cb(err) : null);
+                return;
+            }
+
+            local.client.search({
+                index: local.elasticPostalIndex,
+                type: helperType(local.elasticPostalType),
+                size: optionsOrCb.size || 10,
+                body: {"query":
+                        {"bool":
+                            {"should": [
+                                {"prefix": {"postalCode": {"value": text, "boost": 2}}},
+                                {"match_phrase_prefix": {"placeName": text}}
+                            ],
+                            "minimum_should_match": 1,
+                            "filter": filters}
+                        },
+                    "sort": ["_score", {"postalCode": {"order": "asc"}}]
+                    }
+            }, function (err, searchResult) {
+
+                if (err) {
+                    (cb ? cb(err) : null);
+                    return;
+                }
+
+                (cb ? cb(null, searchResult.hits.hits.map(function (hit) {
+                    return hit._source;
+                })) : null);
+
+            });
+
+        });
+
+    };
+
+    /**
+     * Fetches and maps Geoname country list to JSON
+     *
+     * @function module:geolistic.getCountries
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.getCountries = function(cb) {
+
+        const that = this;
+
+        var returnVariable = null,
+            item,
+            languages = {},
+            continentLanguages = {};
+
+        api.getGeoNameCountries({allColoumns: true}, function (err, countries) {
+
+            if (err) {
+                (cb ? cb(err) : null);
+                return;
+            }
+
+            returnVariable = [];
+            for (var i = 0; i < countries.length; i += 1) {
+
+                item = {};
+                for (var key in local.geonameCountryMapper) {
+                    item[key] = countries[i][local.geonameCountryMapper[key]];
+                }
+
+                item["languages"] = item["languages"].split(",");
+                item["neighbours"] = item["neighbours"].split(",");
+                item["population"] = +item["population"];
+                item["area"] = +item["area"];
+
+                returnVariable.push(item);
+
+            }
+
+            (cb ? cb(null, returnVariable) : null);
+
+        });
+
+    };
+
+    /**
+     * Download [country files](http://download.geonames.org/export/dump/) and optionally extracts them
+     *
+     * Instead of countries, the aggregated dumps can be downloaded: allCountries (all locations in one file)
+     * or cities500, cities1000, cities5000 and cities15000 (cities with more than n people)
+     *
+     * Options:
+     * - **parallelDownloads** {number}: How many parallell downloads to allow
+     * - **extract** {boolean}: Whether to extract files (from XX.zip to XX.txt)
+     * - **alternateNames** {boolean}: Also download the country's alternate names file (alternatenames/XX.zip), stored in the "alternatenames" directory of dataPath
+     * - **adminNames** {boolean}: Also download the admin and country name files (see downloadGeoNameAdminFiles)
+     * - **preDownload** {function}: hook executed before each batch of parallel downloads, file list is passed in array
+     * - **postDownload** {function}: hook executed after each batch of parallel downloads, list of the downloaded files is passed in array
+     * - **downloadSkipped** {function}: hook executed for each file that is unchanged since the last download, url is passed as param
+     * - **downloadFailed** {function}: hook executed for each file that failed after all retries, url and error are passed as params
+     * - **force** {boolean}: Download all files again, ignoring the manifest
+     * - **retries** {number}: Retries of a failed download. Defaults to 3
+     * - **retryDelay** {number}: Milliseconds before the first retry, doubled for each retry. Defaults to 1000
+     * - **job** {EventEmitter}: Job to report start, progress (bytes), retries as warnings and countryDone of each file on, see createJob()
+     *
+     * Downloads are recorded in a manifest in dataPath (geolistic-manifest.json) with ETag, Last-Modified,
+     * size and checksum per file. Files are requested conditionally and skipped if unchanged, and
+     * interrupted downloads are resumed.
+     *
+     * A file that fails after all retries does not stop the other downloads, check the failed files of the report.
+     *
+     * Callback:
+     * - **report** {Object}: processed (number of files), succeeded and skipped (urls) and failed ({url, error}) files
+     *
+     * @function module:geolistic.downloadGeoNameCountryFiles
+     * @param {array} countries - iso country codes, or datasets allCountries, cities500, cities1000, cities5000 and cities15000
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.downloadGeoNameCountryFiles = function(countries, optionsOrCb, cb) {
+
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
+
+        var that = this,
+            alternateNames = optionsOrCb.alternateNames || false,
+            adminNames = optionsOrCb.adminNames || false,
+            files = [],
+            i;
+
+        if (!Array.isArray(countries)) {
+
+            (cb ? cb(new Error("countries incorrect (array with two character strings)")) : null);
+            return;
+
+        }
+
+        for (i = 0; i < countries.length; i += 1) {
+
+            var countryCode = helperDatasetName(countries[i], local.geonameDatasets);
+
+            if (!countryCode) {
+                (cb ? cb(new Error("Not all countries in array was correct (two character string or one of " +
+                    local.geonameDatasets.join(', ') + ")")) : null);
+                return;
+            }
+
+            files.push({url: local.geonameDownloadUrl.replace("%s", countryCode + ".zip"),
+                dest: local.dataPath});
+
+            // datasets have no alternate names file, see downloadGeoNameAlternateNames()
+            if (alternateNames && countryCode.length === 2) {
+                files.push({url: local.geonameDownloadUrl.replace("%s", local.alternateNamesDir + "/" + countryCode + ".zip"),
+                    dest: path.join(local.dataPath, local.alternateNamesDir)});
+            }
+
+        }
+
+        if (adminNames) {
+            files = files.concat(helperAdminFileDownloads());
+            local.adminNames = null;
+        }
+
+        helperDownloadFiles(files, optionsOrCb, cb);
+
+    };
+
+    /**
+     * Download the files used to add admin1, admin2 and country names to locations
+     * (admin1CodesASCII.txt, admin2Codes.txt and countryInfo.txt) to dataPath
+     *
+     * Options are the same as for downloadGeoNameCountryFiles()
+     *
+     * @function module:geolistic.downloadGeoNameAdminFiles
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     * @see module:geolistic.addFileToElastic
+     */
+    api.downloadGeoNameAdminFiles = function(optionsOrCb, cb) {
+
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
+
+        local.adminNames = null;
+        helperDownloadFiles(helperAdminFileDownloads(), optionsOrCb || {}, cb);
+
+    };
+
+    /**
+     * Search locations by name
+     *
+     * Matches all words of the text against name, asciiName and alternateNames, and
+     * the names in the given language if alternate names have been added.
+     *
+     * Options:
+     * - **country** {string|array}: only include locations in these countries, e.g. "NO" or ["NO", "SE"]
+     * - **featureClass** {string|array}: only include these feature classes, e.g. "P"
+     * - **featureCode** {string|array}: only include these feature codes, e.g. ["PPLC", "PPLA"]
+     * - **minPopulation** {number}: only include locations with at least this population
+     * - **bbox** {array}: only include locations inside [minLon, minLat, maxLon, maxLat]
+     * - **language** {string}: also search names in this language and return them as localizedName
+     * - **sort** {string}: "population" (largest first) or "relevance". Defaults to "population"
+     * - **from** {number}: offset for paging. Defaults to 0
+     * - **size** {number}: max number of locations. Defaults to 10
+     *
+     * Callback:
+     * - **data** {Object}: **total** number of matches and **locations**, each with geonameId, name, asciiName,
+     *   featureClass, featureCode, country(Name), admin1(Name), admin2(Name), population, elevation, timezone,
+     *   latitude, longitude and localizedName (if language is given)
+     *
+     * @example
+     * geolistic.search('Wien', {featureClass: 'P', language: 'de'}, function (err, result) {
+     *     console.log(result.locations[0].localizedName);
+     * });
+     *
+     * @function module:geolistic.search
+     * @param {string} text - text to search for
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback(err, data)
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.search = function(text, optionsOrCb, cb) {
+
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
+
+        optionsOrCb = optionsOrCb || {};
+
+        const language = optionsOrCb.language || null,
+            fields = ["name", "asciiName", "alternateNames"];
+
+        var filters,
+            sort = [];
+
+        if (!text || typeof text !== 'string') {
+            (cb ? cb(new Error("Invalid search text '" + text + "'")) : null);
+            return;
+        }
+
+        if (!local.client) {
+            (cb ? cb(new Error("No db connection to elastic")) : null);
+            return;
+        }
+
+        try {
+            filters = helperLocationFilters(optionsOrCb);
+        } catch (err) {
+            (cb ? cb(err) : null);
+            return;
+        }
+
+        if (language) {
+            fields.push("names." + language, "preferredNames." + language);
+        }
+
+        if (optionsOrCb.sort !== 'relevance') {
+            sort.push({"population": {"order": "desc"}});
+        }
+        sort.push("_score");
+
+        helperBeforeRequest(false, function (err) {
+
+            if (err) {
+                (cb ? cb(err) : null);
+                return;
+            }
+
+            local.client.search({
+                index: local.elasticIndex,
+                type: helperType(local.elasticType),
+                from: optionsOrCb.from || 0,
+                size: optionsOrCb.size || 10,
+                body: {"query":
+                        {"bool":
+                            {"must": [
+                                {"multi_match": {"query": text, "fields": fields, "operator": "and"}}
+                            ],
+                            "filter": filters}
+                        },
+                    "sort": sort
+                    }
+            }, function (err, searchResult) {
+
+                if (err) {
+                    (cb ? cb(err) : null);
+                    return;
+                }
+
+                // elastic 7+ returns the total as {value, relation}
+                const total = searchResult.hits.total;
+
+                (cb ? cb(null, {
+                    total: (total !== null && typeof total === 'object' ? total.value : total),
+                    locations: searchResult.hits.hits.map(function (hit) {
+                        return helperNormalizeLocation(hit, language);
+                    })
+                }) : null);
+
+            });
+
+        });
+
+    };
+
+    /**
+     * Type-ahead suggestions of locations starting with a prefix, larger places first
+     *
+     * Uses the completion suggester on the "suggest" field (name and asciiName weighted by population).
+     *
+     * Options:
+     * - **size** {number}: max number of suggestions. Defaults to 5
+     * - **country** {string|array}: only suggest locations in these countries
+     * - **featureClass** {string|array}: only suggest these feature classes, e.g. "P", with country only those in its countries
+     * - **fuzzy** {boolean}: allow typos in the prefix. Defaults to false
+     *
+     * Callback:
+     * - **data** {array}: locations, see search()
+     *
+     * @example
+     * geolistic.autocomplete('Trondh', {country: 'NO'}, function (err, locations) {
+     *     console.log(locations[0].name);
+     * });
+     *
+     * @function module:geolistic.autocomplete
+     * @param {string} prefix - start of the name
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback(err, data)
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.autocomplete = function(prefix, optionsOrCb, cb) {
+
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
+
+        optionsOrCb = optionsOrCb || {};
+
+        var completion = {
+                field: "suggest",
+                size: optionsOrCb.size || 5
+            },
+            countries = null,
+            featureClasses = null;
+
+        if (!prefix || typeof prefix !== 'string') {
+            (cb ? cb(new Error("Invalid prefix '" + prefix + "'")) : null);
+            return;
+        }
+
+        if (!local.client) {
+            (cb ? cb(new Error("No db connection to elastic")) : null);
+            return;
+        }
+
+        if (optionsOrCb.country) {
+            countries = [].concat(optionsOrCb.country).map(function (country) {
+                return country.toLocaleUpperCase();
+            });
+        }
+
+        if (optionsOrCb.featureClass) {
+            featureClasses = [].concat(optionsOrCb.featureClass);
+        }
+
+        // elastic ORs contexts of different mappings, so only one mapping is queried.
+        // elastic 7+ requires contexts, all feature classes match every location
+        if (countries && featureClasses) {
+
+            completion.contexts = {countryFeatureClass: [].concat.apply([], countries.map(function (country) {
+                return featureClasses.map(function (featureClass) {
+                    return country + '_' + featureClass;
+                });
+            }))};
+
+        } else if (countries) {
+            completion.contexts = {country: countries};
+        } else {
+            completion.contexts = {featureClass: featureClasses || local.featureClasses.concat(local.suggestEmptyContext)};
+        }
+
+        if (optionsOrCb.fuzzy) {
+            completion.fuzzy = {fuzziness: "AUTO"};
+        }
+
+        helperBeforeRequest(false, function (err) {
+
+            if (err) {
+                (cb ? cb(err) : null);
+                return;
+            }
+
+            local.client.search({
+                index: local.elasticIndex,
+                type: helperType(local.elasticType),
+                body: {"suggest":
+                        {"locations": {"prefix": prefix, "completion": completion}}
+                    }
+            }, function (err, searchResult) {
+
+                if (err) {
+                    (cb ? cb(err) : null);
+                    return;
+                }
 
-        transformer.on('finish', function () {
+                (cb ? cb(null, searchResult.suggest.locations[0].options.map(function (option) {
+                    return helperNormalizeLocation(option);
+                })) : null);
 
-            (cb ? cb(null, countries) : null);
+            });
 
         });
 
     };
 
     /**
-     * Parse and index individual country datafiles (XX.txt) into elastic
+     * Find the nearest places to a coordinate (reverse geocoding)
+     *
+     * Uses the geo_point "location" field and sorts by distance. Only populated
+     * places (feature class P) are returned by default.
      *
      * Options:
-     * - **bufferRecords** {number}: Buffer x records before indexing in elastic with batch. Defaults to 1000
-     * - **classFilters** {array}: Include filter on fclass, e.g. ['A', 'P'] to include country/area and city (see "feature classes" at [geonames.org](http://download.geonames.org/export/dump/))
-     * - **bufferAdded** {function}: Hook that is executed after every buffer commit to elastic, recordsProcessed is passed as param
+     * - **size** {number}: max number of places. Defaults to 5
+     * - **maxDistance** {string}: only search within this distance, e.g. "10km". Defaults to "50km"
+     * - **featureClass** {string|array}: feature class(es) to include, null for all. Defaults to "P"
+     * - **minPopulation** {number}: only include places with at least this population
      *
-     * @function module:geolistic.addFileToElastic
-     * @param {string} countryCode - iso code of country
+     * Callback:
+     * - **data** {array}: locations (see search()), nearest first, each with **distance** in km
+     *
+     * @example
+     * geolistic.reverseGeocode(59.91, 10.75, {minPopulation: 1000}, function (err, places) {
+     *     console.log(places[0].name + ' is ' + places[0].distance + ' km away');
+     * });
+     *
+     * @function module:geolistic.reverseGeocode
+     * @param {number} lat - latitude
+     * @param {number} lon - longitude
      * @param {requestCallback|Object} optionsOrCb - callback or options
-     * @param {requestCallback} cb - callback
+     * @param {requestCallback} cb - callback(err, data)
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
      */
-    api.addFileToElastic = function(countryCode, optionsOrCb, cb) {
+    api.reverseGeocode = function(lat, lon, optionsOrCb, cb) {
 
         if (typeof optionsOrCb === 'function') {
             cb = optionsOrCb;
             optionsOrCb = {};
         }
 
-        const that = this,
-            testMode = (countryCode === '00'),
-            featureClassFilters = optionsOrCb.classFilters || null,
-            fnBufferComplete = optionsOrCb.bufferAdded || null;
+        optionsOrCb = optionsOrCb || {};
 
-        var input,
-            transformer,
-            dataPath = local.dataPath,
-            client = local.client,
-            bufferRecords = optionsOrCb.bufferRecords || 1000,
-            recordsProcessed = 0,
-            recordsAdded = 0,
-            isFiltered,
-            parser,
-            lineOutput,
-            output = [],
-            i;
+        const point = {lat: +lat, lon: +lon};
 
-        function helperAddBuffer(next) {
+        var filters;
 
-            if (!testMode && !local.client) {
-                throw new Error("No db connection to elastic");
-            }
+        if (lat === null || lon === null || isNaN(point.lat) || isNaN(point.lon) ||
+            Math.abs(point.lat) > 90 || Math.abs(point.lon) > 180) {
 
-            client.bulk({
-                body: output
-            }, function(err, result) {
+            (cb ? cb(new Error("Invalid coordinate '" + lat + "," + lon + "'")) : null);
+            return;
 
-                (fnBufferComplete ? fnBufferComplete(recordsProcessed) : null);
+        }
 
-                if (err) {
+        if (!local.client) {
+            (cb ? cb(new Error("No db connection to elastic")) : null);
+            return;
+        }
 
-                    var errorMessage = "",
-                        isIndex = false,
-                        isType = false;
+        filters = [{"geo_distance": {"distance": optionsOrCb.maxDistance || "50km", "location": point}}]
+            .concat(helperLocationFilters({
+                featureClass: ('featureClass' in optionsOrCb ? optionsOrCb.featureClass : 'P'),
+                minPopulation: optionsOrCb.minPopulation
+            }));
 
-                    if (err.message) {
-                        if (err.message.indexOf("index is missing") !== -1) {
-                            isIndex = true;
-                        }
-                        if (err.message.indexOf("type is missing") !== -1) {
-                            isType = true;
-                        }
+        helperBeforeRequest(false, function (err) {
 
-                        if (isIndex || isType) {
-                            errorMessage = "Missing schema in elastic:";
-                            if (isIndex) {
-                                errorMessage += " ['" + elasicIndex + "' no such index]";
-                            }
-                            if (isType) {
-                                errorMessage += " ['" + elasicType + "' no such type]";
-                            }
-                        }
+            if (err) {
+                (cb ? cb(err) : null);
+                return;
+            }
 
-                        if (errorMessage) {
-                            err = new Error(errorMessage);
-                        }
+            local.client.search({
+                index: local.elasticIndex,
+                type: helperType(local.elasticType),
+                size: optionsOrCb.size || 5,
+                body: {"query":
+                        {"bool":
+                            {"filter": filters}
+                        },
+                    "sort": [
+                        {"_geo_distance": {"location": point, "order": "asc", "unit": "km"}}
+                    ]
                     }
+            }, function (err, searchResult) {
 
+                if (err) {
                     (cb ? cb(err) : null);
+                    return;
+                }
 
-                } else {
+                (cb ? cb(null, searchResult.hits.hits.map(function (hit) {
 
-                    output = [];
-                    next ? next() : null;
+                    var location = helperNormalizeLocation(hit);
 
-                }
+                    location.distance = hit.sort[0];
 
-            });
+                    return location;
 
-        }
+                })) : null);
 
-        if (!countryCode || typeof countryCode !== 'string' || countryCode.length !== 2) {
+            });
 
-            (cb ? cb(new Error("Invalid countryCode '" + countryCode + "', should be two char string")) : null);
-            return;
+        });
 
-        }
+    };
 
-        if (testMode) {
+    /**
+     * Download [postal code files](http://download.geonames.org/export/zip/) and optionally extracts them
+     *
+     * Files are stored in the "postalcodes" directory of dataPath, as they have the same names as
+     * the country files. Options are the same as for downloadGeoNameCountryFiles()
+     *
+     * @function module:geolistic.downloadGeoNamePostalFiles
+     * @param {array} countries - iso country codes, or allCountries
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     * @see module:geolistic.downloadGeoNameCountryFiles
+     */
+    api.downloadGeoNamePostalFiles = function(countries, optionsOrCb, cb) {
 
-            countryCode = 'NU';
-            dataPath = './test/data/';
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
 
-            // Make mockup db client bulk add
-            client = {bulk: function (input, fn) {
+        var that = this,
+            files = [],
+            i;
 
-                fn(null, null);
+        if (!Array.isArray(countries)) {
 
-            }};
+            (cb ? cb(new Error("countries incorrect (array with two character strings)")) : null);
+            return;
 
         }
 
-        countryCode = countryCode.toLocaleUpperCase();
-        bufferRecords = bufferRecords * 2;
-
-        parser = parse({delimiter: "\t",
-            quote: '',
-            relax: true,
-            escape: ""});
+        for (i = 0; i < countries.length; i += 1) {
 
-        input = fs.createReadStream(path.join(dataPath, countryCode + '.txt'));
-        input.on('error', function (err) {
+            var countryCode = helperDatasetName(countries[i], local.geonamePostalDatasets);
 
-            if (err && err.code === 'ENOENT') {
-                err = new Error("Missing datafile for " + countryCode + " at " + err.path);
+            if (!countryCode) {
+                (cb ? cb(new Error("Not all countries in array was correct (two character string or one of " +
+                    local.geonamePostalDatasets.join(', ') + ")")) : null);
+                return;
             }
 
-            (cb ? cb(err) : null);
+            files.push({url: local.geonamePostalDownloadUrl.replace("%s", countryCode + ".zip"),
+                dest: path.join(local.dataPath, local.postalCodesDir)});
 
-        });
+        }
 
-        transformer = transform(function(record, callback) {
+        helperDownloadFiles(files, optionsOrCb || {}, cb);
 
-            recordsProcessed += 1;
+    };
 
-            if (featureClassFilters && featureClassFilters.length != 0) {
+    /**
+     * Download the complete [alternate names file](http://download.geonames.org/export/dump/) (alternateNamesV2.zip)
+     *
+     * Options are the same as for downloadGeoNameCountryFiles(). The file is large, use
+     * the alternateNames option of downloadGeoNameCountryFiles() if you only need a few countries
+     *
+     * @function module:geolistic.downloadGeoNameAlternateNames
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     * @see module:geolistic.downloadGeoNameCountryFiles
+     */
+    api.downloadGeoNameAlternateNames = function(optionsOrCb, cb) {
 
-                isFiltered = true;
-                for (i = 0; i < featureClassFilters.length; i += 1) {
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
 
-                    if (record[local.geonameLocationMapper["featureClass"]] === featureClassFilters[i]) {
-                        isFiltered = false;
-                    }
-                }
+        helperDownloadFiles([{url: local.geonameDownloadUrl.replace("%s", "alternateNamesV2.zip"),
+            dest: local.dataPath}], optionsOrCb || {}, cb);
 
-                if (isFiltered) {
-                    callback();
-                    return;
-                }
-            }
+    };
 
-            lineOutput = {};
-            for (var key in local.geonameLocationMapper) {
-                lineOutput[key] = record[local.geonameLocationMapper[key]];
-            }
-            lineOutput.location = record[local.geonameLocationMapper["latitude"]] + ',' +
-                record[local.geonameLocationMapper["longitude"]];
+    /**
+     * Parse alternate names (alternateNamesV2 format) and attach them to already indexed locations
+     *
+     * Reads dataPath/alternatenames/XX.txt for a country or dataPath/alternateNamesV2.txt
+     * when countryCode is "all". The names of a location are sent to elastic as a partial update
+     * once the file moves on to the next location, so the names of a location must be on
+     * consecutive lines, as in GeoName's files (sorted by geonameId).
+     * Every updated location gets these fields:
+     *
+     * - **names** {Object}: names per language, e.g. names.de = ["München"]
+     * - **preferredNames** {Object}: preferred name per language
+     * - **shortNames** {Object}: short name per language
+     * - **historicNames** {Object}: historic names per language
+     * - **nameVariants** {array}: all alternate name records with their flags
+     *
+     * Options:
+     * - **bufferRecords** {number}: Buffer x locations before updating in elastic with batch. Defaults to 1000
+     * - **languages** {array}: Only include these languages, e.g. ['de', 'ja']
+     * - **index** {string}: Index to update instead of the configured index
+     * - **bufferAdded** {function}: Hook that is executed after every buffer commit to elastic, the number of alternate names read is passed as param
+     * - **bufferBytes**, **bulkConcurrency**, **retries**, **retryDelay**, **deadLetterFile**: see addFileToElastic()
+     *
+     * Callback:
+     * - **result** {Object}: processed (alternate names read), updated (locations) and failed (updates rejected by elastic) counts
+     *
+     * @function module:geolistic.addAlternateNamesToElastic
+     * @param {string} countryCode - iso code of country or "all"
+     * @param {requestCallback|Object} optionsOrCb - callback or options
+     * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
+     */
+    api.addAlternateNamesToElastic = function(countryCode, optionsOrCb, cb) {
 
-            output.push({ "index" : { _index: local.elasticIndex,
-                _type: local.elasticType,
-                _id: record[local.geonameLocationMapper["geonameId"]] } });
+        if (typeof optionsOrCb === 'function') {
+            cb = optionsOrCb;
+            optionsOrCb = {};
+        }
 
-            recordsAdded += 1;
+        const testMode = (countryCode === '00'),
+            languages = optionsOrCb.languages || null,
+            mapper = local.geonameAlternateNameMapper,
+            index = optionsOrCb.index || local.elasticIndex;
 
-            if (output.push(lineOutput) === bufferRecords) {
+        var inputFile,
+            names,
+            location = null,
+            dataPath = local.dataPath,
+            client = local.client;
 
-                helperAddBuffer(function () {
+        if (!countryCode || typeof countryCode !== 'string' ||
+            (countryCode.length !== 2 && countryCode !== 'all')) {
 
-                    callback();
+            (cb ? cb(new Error("Invalid countryCode '" + countryCode + "', should be two char string or 'all'")) : null);
+            return;
 
-                });
+        }
 
-            } else {
+        if (testMode) {
 
-                callback();
+            countryCode = 'NU';
+            dataPath = './test/data/';
 
-            }
+            client = helperTestClient();
 
-        }, {parallel: 1});
+        }
+
+        if (!client) {
+            (cb ? cb(new Error("No db connection to elastic")) : null);
+            return;
+        }
 
-        transformer.on('finish', function(){
+        if (countryCode === 'all') {
+            inputFile = path.join(dataPath, 'alternateNamesV2.txt');
+        } else {
+            countryCode = countryCode.toLocaleUpperCase();
+            inputFile = path.join(dataPath, local.alternateNamesDir, countryCode + '.txt');
+        }
 
-            if (output.length) {
+        // the names of a location are written when the next location starts, the last one when the file ends
+        names = new stream.Transform({
+            objectMode: true,
+            transform: function (nextLocation, encoding, callback) {
 
-                helperAddBuffer(function () {
+                callback(null, nextLocation);
 
-                    (cb ? cb(null, {processed: recordsProcessed, added: recordsAdded}) : null);
+            },
+            flush: function (callback) {
 
-                });
+                callback(null, location);
 
-            } else {
-                (cb ? cb(null, {processed: recordsProcessed, added: recordsAdded}) : null);
             }
-
         });
 
-        input.pipe(parser).pipe(transformer);
+        helperRecordStream(inputFile, "Missing alternate names datafile for " + countryCode, function (record) {
 
-    };
+            const lang = record[mapper["isoLanguage"]],
+                geonameId = record[mapper["geonameId"]];
 
-    /**
-     * Fetches and maps Geoname country list to JSON
-     *
-     * @function module:geolistic.getCountries
-     * @param {requestCallback} cb - callback
-     */
-    api.getCountries = function(cb) {
+            var previous = null;
 
-        const that = this;
+            if (location && location.geonameId !== geonameId) {
+                previous = location;
+                location = null;
+            }
 
-        var returnVariable = null,
-            item,
-            languages = {},
-            continentLanguages = {};
+            if (local.alternateNameSkipLanguages.indexOf(lang) !== -1 ||
+                (languages && languages.indexOf(lang) === -1)) {
+                return previous;
+            }
 
-        api.getGeoNameCountries({allColoumns: true}, function (err, countries) {
+            location = location || {geonameId: geonameId, alternateNames: []};
+            location.alternateNames.push(helperMapAlternateName(record));
+
+            return previous;
+
+        }, names);
+
+        helperBeforeRequest(testMode, function (err) {
 
             if (err) {
+                names.destroy();
                 (cb ? cb(err) : null);
                 return;
             }
 
-            returnVariable = [];
-            for (var i = 0; i < countries.length; i += 1) {
+            helperIndexStream(names, {
+                client: client,
+                bufferRecords: optionsOrCb.bufferRecords,
+                bufferBytes: optionsOrCb.bufferBytes,
+                bulkConcurrency: optionsOrCb.bulkConcurrency,
+                bufferAdded: optionsOrCb.bufferAdded,
+                retries: optionsOrCb.retries,
+                retryDelay: optionsOrCb.retryDelay,
+                deadLetterFile: optionsOrCb.deadLetterFile,
+                transform: function (location) {
+
+                    return {"doc": helperApplyFields(helperBuildNames(location.alternateNames))};
 
-                item = {};
-                for (var key in local.geonameCountryMapper) {
-                    item[key] = countries[i][local.geonameCountryMapper[key]];
                 }
+            }, function (location) {
 
-                item["languages"] = item["languages"].split(",");
-                item["neighbours"] = item["neighbours"].split(",");
-                item["population"] = +item["population"];
-                item["area"] = +item["area"];
+                return { "update" : { _index: index,
+                    _type: helperType(local.elasticType),
+                    _id: location.geonameId } };
 
-                returnVariable.push(item);
+            }, function (err, result) {
 
-            }
+                if (err) {
+                    (cb ? cb(err) : null);
+                    return;
+                }
 
-            (cb ? cb(null, returnVariable) : null);
+                (cb ? cb(null, {processed: result.processed, updated: result.added, failed: result.failed}) : null);
+
+            });
 
         });
 
     };
 
     /**
-     * Download [country files](http://download.geonames.org/export/dump/) and optionally extracts them
+     * Apply GeoName's daily modifications and deletes files to the locations in elastic
+     *
+     * Downloads modifications-YYYY-MM-DD.txt, deletes-YYYY-MM-DD.txt, alternateNamesModifications-YYYY-MM-DD.txt
+     * and alternateNamesDeletes-YYYY-MM-DD.txt to the "updates" directory of dataPath. Changed locations
+     * are upserted, deleted locations removed and the name fields from addAlternateNamesToElastic() updated.
+     *
+     * The last applied date is recorded in a state file. Without a date, all days after the last applied
+     * date up to yesterday are applied, so missed days are caught up (only yesterday if nothing is recorded)
      *
      * Options:
-     * - **parallelDownloads** {number}: How many parallell downloads to allow
-     * - **extract** {boolean}: Whether to extract files (from XX.zip to XX.txt)
-     * - **preDownload** {function}: hook executed before each batch of parallel downloads, file list is passed in array
-     * - **postDownload** {function}: hook executed after each batch of parallel downloads, file list is passed in array
+     * - **download** {boolean}: Download the update files, set to false to use files already in dataPath. Defaults to true
+     * - **stateFile** {string}: Where to record the last applied date. Defaults to dataPath/geolistic-updates.json
+     * - **classFilters** {array}: Only upsert locations with these feature classes, see addFileToElastic()
+     * - **countries** {array}: Only upsert locations in these countries, e.g. ['NO', 'SE']
+     * - **filter** {Object}: Only upsert locations matching the filter, see createLocationStream()
+     * - **adminNames** {boolean}: Add admin and country names, see addFileToElastic(). Defaults to true
+     * - **bufferRecords** {number}: Bulk actions per request to elastic. Defaults to 1000
+     * - **retries**, **retryDelay**, **deadLetterFile**: see addFileToElastic()
+     * - **dateApplied** {function}: Hook executed after each applied date, result of that date is passed as param
      *
-     * @function module:geolistic.downloadGeoNameCountryFiles
-     * @param {array} countries - iso country codes
+     * If elastic rejects updates of a date, they are written to the dead-letter file and the callback
+     * gets an error. That date is not recorded as applied, so it is applied again on the next run.
+     *
+     * Callback:
+     * - **result** {Object}: dates applied, updated and deleted locations, namesUpdated locations, namesSkipped (locations
+     *   with name changes that are not applied, as setFields() excludes nameVariants) and invalid (skipped) modifications
+     *
+     * @function module:geolistic.applyDailyUpdates
+     * @param {string|Date} [date] - day to apply (YYYY-MM-DD), omit to catch up since last applied date
      * @param {requestCallback|Object} optionsOrCb - callback or options
      * @param {requestCallback} cb - callback
+     * @returns {Promise|undefined} promise of the callback data, if no callback is given
      */
-    api.downloadGeoNameCountryFiles = function(countries, optionsOrCb, cb) {
+    api.applyDailyUpdates = function(date, optionsOrCb, cb) {
+
+        if (typeof date === 'function') {
+            cb = date;
+            optionsOrCb = {};
+            date = null;
+        } else if (date && typeof date === 'object' && !(date instanceof Date)) {
+            cb = optionsOrCb;
+            optionsOrCb = date;
+            date = null;
+        }
 
         if (typeof optionsOrCb === 'function') {
             cb = optionsOrCb;
             optionsOrCb = {};
         }
 
-        var that = this,
-            parallelDownloads = optionsOrCb.parallelDownloads || 2,
-            extract = optionsOrCb.extract || false,
-            fnPreParallelDownload = optionsOrCb.preDownload || null,
-            fnPostParallelDownload = optionsOrCb.postDownload || null,
-            hasErrors = false,
-            downloadQueue = [],
-            downloadsLeft = [],
-            i,
-            filesProcessed = 0;
+        optionsOrCb = optionsOrCb || {};
 
-        if (!Array.isArray(countries)) {
+        const that = this,
+            stateFile = optionsOrCb.stateFile || path.join(local.dataPath, local.updateStateFile),
+            fnDateApplied = optionsOrCb.dateApplied || null;
 
-            (cb ? cb(new Error("countries incorrect (array with two character strings)")) : null);
-            return;
+        var result = {dates: [], updated: 0, deleted: 0, namesUpdated: 0, namesSkipped: 0, invalid: 0};
 
+        if (date instanceof Date) {
+            date = helperDateString(date);
         }
 
-        if (countries.length === 0) {
+        if (date && (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
 
-            // Nothing to do...
-            (cb ? cb(null, filesProcessed) : null);
+            (cb ? cb(new Error("Invalid date '" + date + "', should be YYYY-MM-DD")) : null);
             return;
 
         }
 
-        for (i = 0; i < countries.length; i += 1) {
+        try {
 
-            var countryCode = countries[i].toLocaleUpperCase();
+            helperRecordFilter(optionsOrCb.filter);
 
-            if (countryCode.length !== 2) {
-                (cb ? cb(new Error("Not all countries in array was correct (two character string)")) : null);
-                return;
-            }
+        } catch (err) {
 
-            var downloadUrl = local.geonameDownloadUrl.replace("%s", countryCode + ".zip");
-            downloadsLeft.push(downloadUrl);
+            (cb ? cb(err) : null);
+            return;
 
         }
 
-        (function downloadNextFiles() {
+        if (!local.client) {
 
-            function helperDownloadsDone() {
+            (cb ? cb(new Error("No db connection to elastic")) : null);
+            return;
+
+        }
 
-                (cb ? cb(null, filesProcessed) : null);
+        helperBeforeRequest(false, function (err) {
 
+            if (err) {
+                (cb ? cb(err) : null);
+                return;
             }
 
-            for (i = 0; i < parallelDownloads; i += 1) {
+            helperReadUpdateState(stateFile, function (err, state) {
 
-                downloadQueue.push(downloadsLeft.shift());
+                var dates = [],
+                    day,
+                    yesterday = helperDateString(new Date(Date.now() - 24 * 3600 * 1000));
 
-                if (!downloadsLeft.length) {
-                    // No more downloads, exit loop
-                    break;
+                if (err) {
+                    (cb ? cb(err) : null);
+                    return;
                 }
 
-            }
+                if (date) {
 
-            if(!downloadQueue.length) {
-                // Nothing more to download
-                helperDownloadsDone();
-            }
+                    dates.push(date);
 
-            (fnPreParallelDownload ? fnPreParallelDownload(downloadQueue.join(",").split(",")) : null);
+                } else if (!state.lastApplied) {
 
-            Promise.all(downloadQueue.map(function(x) {
-                return download(x, local.dataPath, {extract: extract});
-            })).catch(function(err) {
+                    dates.push(yesterday);
 
-                (cb ? cb(new Error("Error downloading " + downloadQueue.join(", ") + ": " + err)) : null);
-                hasErrors = true;
+                } else {
 
-            }).then(function(res) {
+                    day = new Date(state.lastApplied + 'T00:00:00Z');
+                    day.setUTCDate(day.getUTCDate() + 1);
+
+                    while (helperDateString(day) <= yesterday) {
+                        dates.push(helperDateString(day));
+                        day.setUTCDate(day.getUTCDate() + 1);
+                    }
 
-                if (hasErrors) {
-                    return;
                 }
 
-                (fnPostParallelDownload ? fnPostParallelDownload(downloadQueue.join(",").split(",")) : null);
+                function helperApplyDates(adminNames) {
+
+                    (function applyNextDate(index) {
+
+                        if (index >= dates.length) {
+                            (cb ? cb(null, result) : null);
+                            return;
+                        }
+
+                        helperApplyUpdateFiles(dates[index], optionsOrCb, adminNames, function (err, dateResult) {
+
+                            if (err) {
+                                (cb ? cb(err) : null);
+                                return;
+                            }
+
+                            // later dates are not applied either, as applying this date again would overwrite their changes
+                            if (dateResult.failed) {
+                                (cb ? cb(new Error(dateResult.failed + " updates of " + dateResult.date + " were rejected by elastic " +
+                                    "and written to the dead-letter file, the date is applied again on the next run")) : null);
+                                return;
+                            }
+
+                            result.dates.push(dateResult.date);
+                            result.updated += dateResult.updated;
+                            result.deleted += dateResult.deleted;
+                            result.namesUpdated += dateResult.namesUpdated;
+                            result.namesSkipped += dateResult.namesSkipped;
+                            result.invalid += dateResult.invalid;
+
+                            if (!state.lastApplied || dateResult.date > state.lastApplied) {
+                                state.lastApplied = dateResult.date;
+                            }
+
+                            fs.writeFile(stateFile, JSON.stringify(state), function (err) {
 
-                filesProcessed += downloadQueue.length;
-                downloadQueue = [];
+                                if (err) {
+                                    (cb ? cb(err) : null);
+                                    return;
+                                }
 
-                if (!downloadsLeft.length) {
-                    // Nothing more to download
-                    helperDownloadsDone();
+                                (fnDateApplied ? fnDateApplied(dateResult) : null);
+                                applyNextDate(index + 1);
+
+                            });
+
+                        });
+
+                    })(0);
+
+                }
+
+                if (optionsOrCb.adminNames === false) {
+                    helperApplyDates(null);
                     return;
                 }
 
-                downloadNextFiles();
+                helperLoadAdminNames(local.dataPath, function (err, lookup) {
+
+                    if (err) {
+                        (cb ? cb(err) : null);
+                        return;
+                    }
+
+                    helperApplyDates(lookup);
+
+                });
+
             });
 
-        })();
+        });
 
     };
 
+    // Methods taking a callback also return a Promise when called without it
+    ['createIndex', 'ensureIndex', 'createVersionedIndex', 'switchAlias', 'pruneIndices', 'reindex',
+        'getGeoNameCountries', 'getCountries', 'exportLocations', 'addFileToElastic', 'addPostalFileToElastic',
+        'addAlternateNamesToElastic', 'applyDailyUpdates', 'downloadGeoNameCountryFiles',
+        'downloadGeoNameAdminFiles', 'downloadGeoNamePostalFiles', 'downloadGeoNameAlternateNames',
+        'search', 'autocomplete', 'reverseGeocode', 'lookupPostalCode', 'searchPostalCodes'].forEach(function (name) {
+
+        api[name] = helperPromisify(api[name]);
+
+    });
+
     return api;
 
 })();
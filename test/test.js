@@ -50,6 +50,34 @@ describe('geolistic-cli', function() {
             });
 
         });
+        it('stream test', function (done) {
+
+            this.timeout(10000);
+
+            const os = require('os'),
+                path = require('path'),
+                fs = require('fs'),
+                url = require('url'),
+                tmpPath = fs.mkdtempSync(path.join(os.tmpdir(), 'geolistic-stream-'));
+
+            exec('node geolistic-cli.js -stream 00', {env: Object.assign({}, process.env, {
+                DATAPATH: tmpPath,
+                GEONAME_URL: url.pathToFileURL(path.resolve('./test/data/')).href
+            })}, function (err, stdout, stderr) {
+
+                assert.equal(null, err);
+                assert.ok((stdout.indexOf('All done with 109 processed and 109 added records') > -1));
+                // only the admin files and the manifest are written
+                assert.deepEqual(fs.readdirSync(tmpPath).sort(), ['admin1CodesASCII.txt', 'admin2Codes.txt',
+                    'countryInfo.txt', 'geolistic-manifest.json']);
+
+                fs.rmSync(tmpPath, {recursive: true, force: true});
+                done();
+
+            });
+
+        });
+
         it('download all (TEST)', function (done) {
 
             this.timeout(10000);
@@ -63,6 +91,49 @@ describe('geolistic-cli', function() {
 
             });
 
+        });
+        it('add names test', function (done) {
+
+            this.timeout(10000);
+
+            exec('node geolistic-cli.js -addnames 00', function (err, stdout, stderr) {
+
+                assert.equal(null, err);
+                assert.ok((stdout.indexOf('All done with 11 alternate names processed and 3 locations updated') > -1));
+
+                done();
+
+            });
+
+        });
+        it('export test', function (done) {
+
+            this.timeout(10000);
+
+            exec('node geolistic-cli.js -export 00 P --format geojson', function (err, stdout, stderr) {
+
+                assert.equal(null, err);
+                assert.equal(JSON.parse(stdout).features.length, 45);
+                assert.ok((stderr.indexOf('All done with 109 processed and 45 exported records') > -1));
+
+                done();
+
+            });
+
+        });
+        it('add postal test', function (done) {
+
+            this.timeout(10000);
+
+            exec('node geolistic-cli.js -add 00 -postal', function (err, stdout, stderr) {
+
+                assert.equal(null, err);
+                assert.ok((stdout.indexOf('All done with 6 processed and 6 added records') > -1));
+
+                done();
+
+            });
+
         });
         it('add all (TEST)', function (done) {
 
@@ -80,6 +151,180 @@ describe('geolistic-cli', function() {
 
     });
 
+    describe('commands', function () {
+
+        it('import test with json output', function (done) {
+
+            this.timeout(10000);
+
+            exec('node geolistic-cli.js import 00 P --json', function (err, stdout, stderr) {
+
+                assert.equal(null, err);
+
+                const result = JSON.parse(stdout);
+                assert.equal(result.processed, 109);
+                assert.equal(result.added, 45);
+                assert.equal(result.countries[0].country, '00');
+
+                done();
+
+            });
+
+        });
+
+        it('command help', function (done) {
+
+            this.timeout(6000);
+
+            exec('node geolistic-cli.js import --help', function (err, stdout, stderr) {
+
+                assert.equal(null, err);
+                assert.ok((stdout.indexOf('Usage: node geolistic-cli import') > -1));
+                assert.ok((stdout.indexOf('--buffer-bytes <bytes>') > -1));
+
+                done();
+
+            });
+
+        });
+
+        it('unknown flag exits with usage error', function (done) {
+
+            this.timeout(6000);
+
+            exec('node geolistic-cli.js import 00 --bogus', function (err, stdout, stderr) {
+
+                assert.equal(err.code, 2);
+                assert.ok((stderr.indexOf('Unknown flag --bogus for import') > -1));
+
+                done();
+
+            });
+
+        });
+
+        it('boolean flags take an explicit value', function (done) {
+
+            this.timeout(6000);
+
+            exec('node geolistic-cli.js import 00 X --json=false', function (err, stdout, stderr) {
+
+                assert.equal(err.code, 2);
+                assert.equal(stdout, '');
+                assert.ok((stderr.indexOf("Unknown feature class 'X'") > -1));
+
+                exec('node geolistic-cli.js import 00 --json=maybe', function (err, stdout, stderr) {
+
+                    assert.equal(err.code, 2);
+                    assert.ok((stderr.indexOf("Invalid --json 'maybe', should be true or false") > -1));
+
+                    done();
+
+                });
+
+            });
+
+        });
+
+        it('invalid feature class exits with usage error', function (done) {
+
+            this.timeout(6000);
+
+            exec('node geolistic-cli.js import 00 X --json', function (err, stdout, stderr) {
+
+                assert.equal(err.code, 2);
+                assert.ok(JSON.parse(stdout).error.indexOf("Unknown feature class 'X'") > -1);
+
+                done();
+
+            });
+
+        });
+
+        it('failed download exits with failure', function (done) {
+
+            this.timeout(10000);
+
+            const os = require('os'),
+                path = require('path'),
+                fs = require('fs'),
+                url = require('url'),
+                tmpPath = fs.mkdtempSync(path.join(os.tmpdir(), 'geolistic-download-'));
+
+            exec('node geolistic-cli.js download ZZ --json', {env: Object.assign({}, process.env, {
+                DATAPATH: tmpPath,
+                GEONAME_URL: url.pathToFileURL(path.resolve('./test/data/')).href
+            })}, function (err, stdout, stderr) {
+
+                const report = JSON.parse(stdout);
+
+                assert.equal(err.code, 1);
+                assert.equal(report.failed.length, 1);
+                assert.equal(report.succeeded.length, 3);
+
+                fs.rmSync(tmpPath, {recursive: true, force: true});
+                done();
+
+            });
+
+        });
+
+        it('elastic connection refused is explained', function (done) {
+
+            this.timeout(10000);
+
+            exec('node geolistic-cli.js search Oslo', {env: Object.assign({}, process.env, {
+                ELASTIC_URL: 'http://127.0.0.1:1,127.0.0.1:2'
+            })}, function (err, stdout, stderr) {
+
+                assert.equal(err.code, 1);
+                assert.ok((stderr.indexOf('http://127.0.0.1:1: connection refused') > -1));
+                assert.ok((stderr.indexOf('http://127.0.0.1:2: connection refused') > -1));
+
+                done();
+
+            });
+
+        });
+
+        it('elastic credentials and path prefix', function (done) {
+
+            this.timeout(10000);
+
+            const http = require('http'),
+                requests = [];
+
+            // answers like a secured elastic without valid credentials
+            const server = http.createServer(function (req, res) {
+
+                requests.push({url: req.url, authorization: req.headers.authorization});
+                res.statusCode = 401;
+                res.end('{}');
+
+            }).listen(0, '127.0.0.1', function () {
+
+                exec('node geolistic-cli.js search Oslo', {env: Object.assign({}, process.env, {
+                    ELASTIC_URL: 'http://127.0.0.1:' + server.address().port + '/elastic/',
+                    ELASTIC_API_KEY: 'id1:secret'
+                })}, function (err, stdout, stderr) {
+
+                    server.close();
+
+                    assert.equal(err.code, 1);
+                    assert.ok((stderr.indexOf('authentication failed') > -1));
+                    assert.equal(requests[0].url, '/elastic/');
+                    assert.equal(requests[0].authorization, 'ApiKey ' + Buffer.from('id1:secret').toString('base64'));
+
+                    done();
+
+                });
+
+            });
+
+        });
+
+    });
+
 });
 
 describe('geolistic-lib', function() {
@@ -87,6 +332,13 @@ describe('geolistic-lib', function() {
     const geolistic = require('../lib');
     var libObject;
 
+    // version detection of mock elastic clients, elastic 6 uses types
+    function helperInfo(input, fn) {
+
+        fn(null, {version: {number: '6.8.2'}});
+
+    }
+
     describe('init', function () {
 
         it('init without config', function (done) {
@@ -207,6 +459,55 @@ describe('geolistic-lib', function() {
 
     });
 
+    describe('setGeoNameUrl/setGeoNamePostalUrl', function () {
+
+        after(function () {
+
+            geolistic.config({geonameUrl: 'http://download.geonames.org/export/dump/',
+                geonamePostalUrl: 'http://download.geonames.org/export/zip/'});
+
+        });
+
+        it('setGeoNameUrl/setGeoNamePostalUrl right', function (done) {
+
+            assert.doesNotThrow(function () {
+                geolistic.setGeoNameUrl('http://mirror.example.com/geonames/dump');
+                geolistic.setGeoNamePostalUrl('file:///srv/geonames/zip/');
+            });
+
+            done();
+
+        });
+
+        it('setGeoNameUrl not a url', function (done) {
+
+            assert.throws(function () {
+                geolistic.setGeoNameUrl('/srv/geonames/dump/');
+            }, /Source url is not a valid http\(s\) or file url/, 'did not throw with expected message');
+
+            done();
+
+        });
+
+    });
+
+    describe('setDownloadTimeout', function () {
+
+        it('setDownloadTimeout not a positive number', function (done) {
+
+            assert.throws(function () {
+                geolistic.setDownloadTimeout('60000');
+            }, /Download timeout must be a positive number/, 'did not throw with expected message');
+            assert.throws(function () {
+                geolistic.setDownloadTimeout(0);
+            }, /Download timeout must be a positive number/, 'did not throw with expected message');
+
+            done();
+
+        });
+
+    });
+
     describe('setElasticPath', function () {
 
         it('setElasticPath right', function (done) {
@@ -261,6 +562,30 @@ describe('geolistic-lib', function() {
 
     });
 
+    describe('setElasticPostalPath', function () {
+
+        it('setElasticPostalPath right', function (done) {
+
+            assert.doesNotThrow(function () {
+                geolistic.setElasticPostalPath('postalcodes/postalcode');
+            });
+
+            done();
+
+        });
+
+        it('setElasticPostalPath no slash', function (done) {
+
+            assert.throws(function () {
+                geolistic.setElasticPostalPath('postalcodes');
+            }, /elasticPostalPath must be in the form of /, 'did not throw with expected message');
+
+            done();
+
+        });
+
+    });
+
     describe('setElasticClient', function () {
 
         it('setElasticClient right', function (done) {
@@ -285,33 +610,66 @@ describe('geolistic-lib', function() {
 
     });
 
-    describe('getGeoNameCountries/getCountries', function () {
+    describe('setFields/setTransform/getSchema', function () {
 
-        it('getGeoNameCountries no options right', function (done) {
+        before(function () {
 
-            geolistic.getGeoNameCountries(function (err, result) {
+            geolistic.config({elasticPath: 'geonames/geoname'});
 
-                assert.equal(err, null);
-                assert.notEqual(result, null);
-                assert.ok(Array.isArray(result));
-                assert.ok(result.length > 10);
+        });
 
-                done();
+        afterEach(function () {
+
+            geolistic.config({fields: null, transform: null});
+
+        });
+
+        function helperAddDocs(fn) {
+
+            var docs = [];
+
+            geolistic.config({dataPath: './test/data/',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                    docs = docs.concat(input.body.filter(function (line, i) {
+                        return i % 2 === 1;
+                    }));
+                    fn(null, {});
+                }}});
+
+            geolistic.addFileToElastic('NU', function (err, result) {
+                fn(err, result, docs);
             });
 
+        }
+
+        it('getSchema matches data/schema.json', function () {
+
+            assert.deepEqual(geolistic.getSchema(), require('../data/schema.json'));
 
         });
 
-        it('getGeoNameCountries options allColoumns right', function (done) {
+        it('setFields rename and drop', function (done) {
 
-            geolistic.getGeoNameCountries({allColoumns: true}, function (err, result) {
+            geolistic.config({fields: {geonameId: 'id', country: 'countryCode', dem: false, names: 'localNames'}});
+
+            const mapping = geolistic.getSchema().mappings.geoname;
+
+            assert.equal(mapping.properties.id.type, 'long');
+            assert.equal(mapping.properties.geonameId, undefined);
+            assert.equal(mapping.properties.dem, undefined);
+            assert.equal(mapping.dynamic_templates[0].localizedNames.path_match, 'localNames.*');
+
+            helperAddDocs(function (err, result, docs) {
 
                 assert.equal(err, null);
-                assert.notEqual(result, null);
-                assert.ok(Array.isArray(result));
-                assert.ok(result.length > 10);
-                assert.ok(Array.isArray(result[0]));
-                assert.equal(typeof result[0][0], 'string');
+                assert.equal(docs.length, 109);
+                assert.equal(typeof docs[0].id, 'number');
+                assert.equal(docs[0].countryCode, 'NU');
+                // completion contexts keep their names
+                assert.deepEqual(docs[0].suggest.contexts.country, ['NU']);
+                assert.ok(!('geonameId' in docs[0]));
+                assert.ok(!('dem' in docs[0]));
+                assert.ok('population' in docs[0]);
 
                 done();
 
@@ -319,18 +677,17 @@ describe('geolistic-lib', function() {
 
         });
 
-        it('getCountries right', function (done) {
+        it('setFields selection', function (done) {
 
-            geolistic.getCountries(function (err, result) {
+            geolistic.config({fields: ['geonameId', 'name', 'location']});
+
+            assert.deepEqual(Object.keys(geolistic.getSchema().mappings.geoname.properties), ['geonameId', 'name', 'location']);
+            assert.equal(geolistic.getSchema().mappings.geoname.dynamic_templates.length, 0);
+
+            helperAddDocs(function (err, result, docs) {
 
                 assert.equal(err, null);
-                assert.notEqual(result, null);
-                assert.ok(Array.isArray(result));
-                assert.ok(result.length > 10);
-                assert.doesNotThrow(function () {
-                    var tmp = result[0]["country"];
-                });
-                assert.equal(typeof result[0]["country"], 'string');
+                assert.deepEqual(Object.keys(docs[0]), ['geonameId', 'name', 'location']);
 
                 done();
 
@@ -338,21 +695,113 @@ describe('geolistic-lib', function() {
 
         });
 
-    });
+        it('setTransform modify and skip', function (done) {
 
-    describe('addFileToElastic', function () {
+            geolistic.config({transform: function (location) {
 
-        it('addFileToElastic right', function (done) {
+                if (location.featureClass !== 'P') {
+                    return null;
+                }
 
-            assert.doesNotThrow(function () {
+                location.isCapital = (location.featureCode === 'PPLC');
+                return location;
 
-                // 00 as country means test mode
-                geolistic.addFileToElastic('00', function (err, result) {
+            }});
 
-                    assert.equal(err, null);
-                    assert.notEqual(result, null);
-                    assert.equal(result.processed, 109);
-                    assert.equal(result.added, 109);
+            helperAddDocs(function (err, result, docs) {
+
+                assert.equal(err, null);
+                assert.equal(result.processed, 109);
+                assert.equal(result.added, 45);
+                assert.equal(docs.length, 45);
+                assert.equal(docs.filter(function (doc) {
+                    return doc.isCapital;
+                }).length, 1);
+
+                done();
+
+            });
+
+        });
+
+        it('setFields and setTransform wrong params', function () {
+
+            assert.throws(function () {
+                geolistic.setFields({name: 42});
+            }, /Invalid field mapping for 'name'/);
+
+            assert.throws(function () {
+                geolistic.setFields({name: 'title', asciiName: 'title'});
+            }, /mapped more than once/);
+
+            assert.throws(function () {
+                geolistic.setTransform('yes');
+            }, /Transform must be a function/);
+
+        });
+
+    });
+
+    describe('createIndex/ensureIndex', function () {
+
+        var created,
+            deleted,
+            existing,
+            mapping;
+
+        function helperClient(version) {
+
+            return {
+                info: function (input, fn) {
+                    fn(null, {version: {number: version}});
+                },
+                indices: {
+                    exists: function (input, fn) {
+                        fn(null, existing);
+                    },
+                    create: function (input, fn) {
+                        created = input;
+                        fn(null, {acknowledged: true});
+                    },
+                    delete: function (input, fn) {
+                        deleted = input;
+                        fn(null, {acknowledged: true});
+                    },
+                    getMapping: function (input, fn) {
+                        fn(null, {'geonames-1': {mappings: mapping}});
+                    }
+                },
+                search: function (input, fn) {
+                    created = input;
+                    fn(null, {hits: {total: 0, hits: []}});
+                }
+            };
+
+        }
+
+        beforeEach(function () {
+
+            created = null;
+            deleted = null;
+            existing = false;
+
+        });
+
+        it('createIndex elastic 7 typeless', function (done) {
+
+            geolistic.config({elasticPath: 'geonames/geoname', elasticClient: helperClient('7.4.0')});
+
+            geolistic.createIndex(function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.version, 7);
+                assert.equal(created.index, 'geonames');
+                assert.equal(created.body.mappings.properties.location.type, 'geo_point');
+
+                geolistic.search('Alofi', function (err, result) {
+
+                    assert.equal(err, null);
+                    assert.equal(created.type, undefined);
 
                     done();
 
@@ -361,17 +810,35 @@ describe('geolistic-lib', function() {
             });
 
         });
-        it('addFileToElastic filter P', function (done) {
 
-            assert.doesNotThrow(function () {
+        it('search and addFileToElastic detect elastic 7 without createIndex', function (done) {
 
-                // 00 as country means test mode
-                geolistic.addFileToElastic('00', {classFilters: ['P']}, function (err, result) {
+            var actions = [];
+
+            geolistic.config({elasticPath: 'geonames/geoname', elasticClient: helperClient('7.4.0')});
+
+            geolistic.search('Alofi', function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(created.index, 'geonames');
+                assert.equal(created.type, undefined);
+
+                const client = helperClient('7.4.0');
+
+                client.bulk = function (input, fn) {
+                    actions = actions.concat(input.body.filter(function (line) {
+                        return line.index;
+                    }));
+                    fn(null, {});
+                };
+
+                geolistic.config({dataPath: './test/data/', elasticClient: client});
+
+                geolistic.addFileToElastic('NU', {adminNames: false}, function (err, result) {
 
                     assert.equal(err, null);
-                    assert.notEqual(result, null);
-                    assert.equal(result.processed, 109);
-                    assert.equal(result.added, 45);
+                    assert.equal(actions.length, 109);
+                    assert.ok(!('_type' in actions[0].index) || actions[0].index._type === undefined);
 
                     done();
 
@@ -380,17 +847,38 @@ describe('geolistic-lib', function() {
             });
 
         });
-        it('addFileToElastic short buffer', function (done) {
 
-            assert.doesNotThrow(function () {
+        it('createIndex elastic 6 with type', function (done) {
 
-                // 00 as country means test mode
-                geolistic.addFileToElastic('00', {bufferRecords: 5}, function (err, result) {
+            geolistic.config({elasticPostalPath: 'zips/zip', elasticClient: helperClient('6.8.2')});
+
+            geolistic.createIndex({postalCodes: true}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(created.index, 'zips');
+                assert.equal(created.body.mappings.zip.properties.location.type, 'geo_point');
+
+                done();
+
+            });
+
+        });
+
+        it('createIndex existing index', function (done) {
+
+            existing = true;
+            geolistic.config({elasticClient: helperClient('6.8.2')});
+
+            geolistic.createIndex(function (err, result) {
+
+                assert.notEqual(err, null);
+                assert.ok(err.toString().indexOf("Index 'geonames' already exists") > -1);
+
+                geolistic.createIndex({recreate: true}, function (err, result) {
 
                     assert.equal(err, null);
-                    assert.notEqual(result, null);
-                    assert.equal(result.processed, 109);
-                    assert.equal(result.added, 109);
+                    assert.equal(deleted.index, 'geonames');
+                    assert.equal(result.created, true);
 
                     done();
 
@@ -400,13 +888,40 @@ describe('geolistic-lib', function() {
 
         });
 
-        it('addFileToElastic wrong country code format', function (done) {
+        it('ensureIndex drift', function (done) {
 
-            geolistic.addFileToElastic('yes sir', function (err, result) {
+            existing = true;
+            mapping = {properties: {geonameId: {type: 'long'}, population: {type: 'text'}}};
+            geolistic.config({elasticClient: helperClient('7.4.0')});
+
+            geolistic.ensureIndex(function (err, result) {
 
                 assert.notEqual(err, null);
-                assert.equal(result, undefined);
-                assert.ok(err.toString().indexOf('Invalid countryCode ') > -1);
+                assert.ok(err.toString().indexOf("'population' is text, expected long") > -1);
+
+                geolistic.ensureIndex({ignoreDrift: true}, function (err, result) {
+
+                    assert.equal(err, null);
+                    assert.equal(result.created, false);
+                    assert.ok(result.drift.indexOf("'location' is missing") > -1);
+
+                    done();
+
+                });
+
+            });
+
+        });
+
+        it('ensureIndex missing index', function (done) {
+
+            geolistic.config({elasticClient: helperClient('7.4.0')});
+
+            geolistic.ensureIndex(function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.created, true);
+                assert.deepEqual(result.drift, []);
 
                 done();
 
@@ -414,13 +929,2384 @@ describe('geolistic-lib', function() {
 
         });
 
-        it('addFileToElastic country does not exists', function (done) {
+    });
 
-            geolistic.addFileToElastic('01', function (err, result) {
+    describe('reindex/switchAlias/pruneIndices', function () {
+
+        var aliasActions,
+            deleted,
+            bulkError = null,
+            aliasIsIndex = false,
+            created = 0,
+            count;
+
+        before(function () {
+
+            geolistic.config({elasticPath: 'geonames/geoname',
+                dataPath: './test/data/',
+                elasticClient: {
+                    info: function (input, fn) {
+                        fn(null, {version: {number: '6.8.2'}});
+                    },
+                    bulk: function (input, fn) {
+                        fn(bulkError, {});
+                    },
+                    count: function (input, fn) {
+                        fn(null, {count: count});
+                    },
+                    indices: {
+                        exists: function (input, fn) {
+                            fn(null, aliasIsIndex);
+                        },
+                        create: function (input, fn) {
+                            created += 1;
+                            fn(null, {acknowledged: true});
+                        },
+                        refresh: function (input, fn) {
+                            fn(null, {});
+                        },
+                        getAlias: function (input, fn) {
+                            if (aliasIsIndex) {
+                                fn({status: 404});
+                                return;
+                            }
+                            fn(null, {'geonames-20170101000000': {aliases: {geonames: {}}}});
+                        },
+                        updateAliases: function (input, fn) {
+                            aliasActions = input.body.actions;
+                            fn(null, {acknowledged: true});
+                        },
+                        get: function (input, fn) {
+                            var response = {'geonames-20160101000000': {}, 'geonames-20170101000000': {},
+                                'geonames-postal': {}};
+                            response[aliasActions[aliasActions.length - 1].add.index] = {};
+                            fn(null, response);
+                        },
+                        delete: function (input, fn) {
+                            deleted = input.index;
+                            fn(null, {acknowledged: true});
+                        }
+                    }
+                }});
+
+        });
+
+        it('reindex right', function (done) {
+
+            count = 109;
+
+            geolistic.reindex(['NU'], {retain: 1}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.ok(/^geonames-\d{14}$/.test(result.index));
+                assert.equal(result.added, 109);
+                assert.deepEqual(aliasActions[0], {remove: {index: 'geonames-20170101000000', alias: 'geonames'}});
+                assert.deepEqual(aliasActions[1], {add: {index: result.index, alias: 'geonames'}});
+                assert.deepEqual(result.pruned, ['geonames-20160101000000']);
+                assert.deepEqual(deleted, ['geonames-20160101000000']);
+
+                done();
+
+            });
+
+        });
+
+        it('reindex deletes the new index when the import fails', function (done) {
+
+            bulkError = new Error('mapper_parsing_exception');
+            bulkError.statusCode = 400;
+            aliasActions = null;
+
+            geolistic.reindex(['NU'], function (err, result) {
+
+                bulkError = null;
+
+                assert.ok(err.toString().indexOf('mapper_parsing_exception') > -1);
+                assert.ok(/^geonames-\d{14}$/.test(deleted));
+                assert.equal(aliasActions, null);
+
+                done();
+
+            });
+
+        });
+
+        it('reindex deletes the new index when validation fails', function (done) {
+
+            count = 10;
+            aliasActions = null;
+
+            geolistic.reindex(['NU'], function (err, result) {
+
+                assert.ok(err.toString().indexOf('has 10 documents, expected 109') > -1);
+                assert.ok(/^geonames-\d{14}$/.test(deleted));
+                assert.equal(aliasActions, null);
+
+                done();
+
+            });
+
+        });
+
+        it('reindex fails before importing if the alias is an index', function (done) {
+
+            aliasIsIndex = true;
+            created = 0;
+            deleted = null;
+
+            geolistic.reindex(['NU'], function (err, result) {
+
+                aliasIsIndex = false;
+
+                assert.ok(err.toString().indexOf("'geonames' is an index, not an alias") > -1);
+                assert.equal(created, 0);
+                assert.equal(deleted, null);
+
+                done();
+
+            });
+
+        });
+
+        it('reindex overlapping countries', function (done) {
+
+            count = 109;
+
+            // the same locations twice are one document each
+            geolistic.reindex(['NU', 'nu'], function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.added, 218);
+
+                count = 100;
+
+                geolistic.reindex(['NU', 'nu'], function (err, result) {
+
+                    assert.ok(err.toString().indexOf('has 100 documents, expected 109 to 218') > -1);
+
+                    done();
+
+                });
+
+            });
+
+        });
+
+        it('switchAlias wrong count', function (done) {
+
+            count = 10;
+            aliasActions = null;
+
+            geolistic.switchAlias('geonames-20180101000000', {expectedCount: 109}, function (err, result) {
 
                 assert.notEqual(err, null);
-                assert.equal(result, undefined);
-                assert.ok(err.toString().indexOf('Missing datafile for 01') > -1);
+                assert.ok(err.toString().indexOf('has 10 documents, expected 109') > -1);
+                assert.equal(aliasActions, null);
+
+                done();
+
+            });
+
+        });
+
+        it('switchAlias to alias', function (done) {
+
+            geolistic.switchAlias('geonames', function (err, result) {
+
+                assert.notEqual(err, null);
+                assert.ok(err.toString().indexOf("Invalid index 'geonames'") > -1);
+
+                done();
+
+            });
+
+        });
+
+    });
+
+    describe('getGeoNameCountries/getCountries', function () {
+
+        it('getGeoNameCountries no options right', function (done) {
+
+            geolistic.getGeoNameCountries(function (err, result) {
+
+                assert.equal(err, null);
+                assert.notEqual(result, null);
+                assert.ok(Array.isArray(result));
+                assert.ok(result.length > 10);
+
+                done();
+            });
+
+
+        });
+
+        it('getGeoNameCountries options allColoumns right', function (done) {
+
+            geolistic.getGeoNameCountries({allColoumns: true}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.notEqual(result, null);
+                assert.ok(Array.isArray(result));
+                assert.ok(result.length > 10);
+                assert.ok(Array.isArray(result[0]));
+                assert.equal(typeof result[0][0], 'string');
+
+                done();
+
+            });
+
+        });
+
+        it('getCountries right', function (done) {
+
+            geolistic.getCountries(function (err, result) {
+
+                assert.equal(err, null);
+                assert.notEqual(result, null);
+                assert.ok(Array.isArray(result));
+                assert.ok(result.length > 10);
+                assert.doesNotThrow(function () {
+                    var tmp = result[0]["country"];
+                });
+                assert.equal(typeof result[0]["country"], 'string');
+
+                done();
+
+            });
+
+        });
+
+    });
+
+    describe('download sources', function () {
+
+        const fs = require('fs'),
+            os = require('os'),
+            path = require('path'),
+            http = require('http'),
+            url = require('url');
+
+        var tmpPath;
+
+        beforeEach(function () {
+
+            tmpPath = fs.mkdtempSync(path.join(os.tmpdir(), 'geolistic-download-'));
+            geolistic.config({dataPath: tmpPath,
+                geonameUrl: url.pathToFileURL(path.resolve('./test/data/')).href});
+
+        });
+
+        afterEach(function () {
+
+            fs.rmSync(tmpPath, {recursive: true, force: true});
+            geolistic.config({geonameUrl: 'http://download.geonames.org/export/dump/'});
+
+        });
+
+        it('getCountries from file source', function (done) {
+
+            geolistic.getCountries(function (err, result) {
+
+                assert.equal(err, null);
+                assert.deepEqual(result.map(function (country) {
+                    return country.iso;
+                }), ['NO', 'NU']);
+                assert.equal(result[1].country, 'Niue');
+
+                done();
+
+            });
+
+        });
+
+        it('downloadGeoNameCountryFiles from file source, skipping unchanged files', function (done) {
+
+            const options = {extract: true, adminNames: true};
+
+            geolistic.downloadGeoNameCountryFiles(['NU'], options, function (err, report) {
+
+                assert.equal(err, null);
+                assert.equal(report.processed, 4);
+                assert.equal(report.succeeded.length, 4);
+                assert.ok(fs.existsSync(path.join(tmpPath, 'NU.txt')));
+                assert.ok(!fs.existsSync(path.join(tmpPath, 'NU.zip')));
+                assert.ok(fs.existsSync(path.join(tmpPath, 'countryInfo.txt')));
+
+                geolistic.downloadGeoNameCountryFiles(['NU'], options, function (err, report) {
+
+                    assert.equal(err, null);
+                    assert.equal(report.succeeded.length, 0);
+                    assert.equal(report.skipped.length, 4);
+
+                    done();
+
+                });
+
+            });
+
+        });
+
+        it('downloadGeoNameCountryFiles job events', function (done) {
+
+            var statuses = {},
+                progress = null,
+                started = null;
+
+            const job = geolistic.createJob();
+
+            job.on('start', function (start) {
+                started = start;
+            });
+            job.on('progress', function (fileProgress) {
+                progress = fileProgress;
+            });
+            job.on('countryDone', function (countryDone) {
+                statuses[path.basename(countryDone.file)] = countryDone.status;
+            });
+
+            geolistic.downloadGeoNameCountryFiles(['NU', 'NO'], {adminNames: false, job: job}, function (err) {
+
+                assert.equal(err, null);
+                assert.equal(started.type, 'download');
+                assert.equal(started.files.length, 2);
+                assert.deepEqual(statuses, {'NU.zip': 'succeeded', 'NO.zip': 'failed'});
+                assert.equal(progress.bytesTotal, fs.statSync('./test/data/NU.zip').size);
+                assert.equal(progress.bytes, progress.bytesTotal);
+
+                done();
+
+            });
+
+        });
+
+        it('downloadGeoNameCountryFiles missing file is reported as failed', function (done) {
+
+            geolistic.downloadGeoNameCountryFiles(['NU', 'NO'], {adminNames: false}, function (err, report) {
+
+                assert.equal(err, null);
+                assert.equal(report.processed, 2);
+                assert.equal(report.succeeded.length, 1);
+                assert.equal(report.failed.length, 1);
+                assert.ok(/NO\.zip$/.test(report.failed[0].url));
+                assert.ok(/Missing file/.test(report.failed[0].error));
+
+                done();
+
+            });
+
+        });
+
+        // a NU.zip.part in dataPath, recorded in the manifest as started with the current source file
+        function helperPartialDownload(content) {
+
+            const sourceFile = path.resolve('./test/data/NU.zip'),
+                manifest = {};
+
+            manifest[url.pathToFileURL(sourceFile).href] = {partial: {etag: null,
+                lastModified: fs.statSync(sourceFile).mtime.toUTCString()}};
+
+            fs.writeFileSync(path.join(tmpPath, 'NU.zip.part'), content);
+            fs.writeFileSync(path.join(tmpPath, 'geolistic-manifest.json'), JSON.stringify(manifest));
+
+        }
+
+        function helperSha256(content) {
+
+            return require('crypto').createHash('sha256').update(content).digest('hex');
+
+        }
+
+        it('downloadGeoNameCountryFiles resumes a partial download', function (done) {
+
+            const source = fs.readFileSync('./test/data/NU.zip'),
+                // a prefix that differs from the source shows that it is kept and not downloaded again
+                prefix = Buffer.alloc(100);
+
+            helperPartialDownload(prefix);
+
+            geolistic.downloadGeoNameCountryFiles(['NU'], {adminNames: false}, function (err, report) {
+
+                const downloaded = fs.readFileSync(path.join(tmpPath, 'NU.zip')),
+                    manifest = JSON.parse(fs.readFileSync(path.join(tmpPath, 'geolistic-manifest.json'), 'utf8')),
+                    entry = manifest[report.succeeded[0]];
+
+                assert.equal(err, null);
+                assert.equal(report.succeeded.length, 1);
+                assert.ok(!fs.existsSync(path.join(tmpPath, 'NU.zip.part')));
+                assert.deepEqual(downloaded, Buffer.concat([prefix, source.slice(100)]));
+                assert.equal(entry.size, source.length);
+                assert.equal(entry.checksum, helperSha256(downloaded));
+                assert.equal(entry.partial, undefined);
+
+                done();
+
+            });
+
+        });
+
+        it('downloadGeoNameCountryFiles starts over when the partial download does not fit', function (done) {
+
+            const source = fs.readFileSync('./test/data/NU.zip');
+
+            // larger than the source, the range is not satisfiable (416)
+            helperPartialDownload(Buffer.alloc(source.length + 10));
+
+            geolistic.downloadGeoNameCountryFiles(['NU'], {adminNames: false}, function (err, report) {
+
+                const manifest = JSON.parse(fs.readFileSync(path.join(tmpPath, 'geolistic-manifest.json'), 'utf8'));
+
+                assert.equal(err, null);
+                assert.equal(report.succeeded.length, 1);
+                assert.deepEqual(fs.readFileSync(path.join(tmpPath, 'NU.zip')), source);
+                assert.equal(manifest[report.succeeded[0]].checksum, helperSha256(source));
+
+                done();
+
+            });
+
+        });
+
+        it('downloadGeoNameCountryFiles force downloads unchanged and partial files again', function (done) {
+
+            const source = fs.readFileSync('./test/data/NU.zip');
+
+            geolistic.downloadGeoNameCountryFiles(['NU'], {adminNames: false}, function (err, report) {
+
+                assert.equal(err, null);
+                assert.equal(report.succeeded.length, 1);
+
+                geolistic.downloadGeoNameCountryFiles(['NU'], {adminNames: false}, function (err, report) {
+
+                    assert.equal(err, null);
+                    assert.equal(report.skipped.length, 1);
+
+                    // force ignores the manifest entry and the partial download
+                    helperPartialDownload(Buffer.alloc(100));
+
+                    geolistic.downloadGeoNameCountryFiles(['NU'], {adminNames: false, force: true}, function (err, report) {
+
+                        assert.equal(err, null);
+                        assert.equal(report.succeeded.length, 1);
+                        assert.equal(report.skipped.length, 0);
+                        assert.deepEqual(fs.readFileSync(path.join(tmpPath, 'NU.zip')), source);
+
+                        done();
+
+                    });
+
+                });
+
+            });
+
+        });
+
+        it('downloadGeoNameCountryFiles from http mirror retries failed files', function (done) {
+
+            var requests = {};
+
+            const server = http.createServer(function (req, res) {
+
+                requests[req.url] = (requests[req.url] || 0) + 1;
+
+                if (req.url === '/dump/NU.zip' && requests[req.url] > 1) {
+                    fs.createReadStream('./test/data/NU.zip').pipe(res);
+                    return;
+                }
+
+                res.statusCode = (req.url === '/dump/NU.zip' ? 503 : 404);
+                res.end();
+
+            });
+
+            server.listen(0, '127.0.0.1', function () {
+
+                geolistic.config({geonameUrl: 'http://127.0.0.1:' + server.address().port + '/dump/'});
+
+                geolistic.downloadGeoNameCountryFiles(['NU', 'NO'], {adminNames: false, retryDelay: 10}, function (err, report) {
+
+                    server.close();
+
+                    assert.equal(err, null);
+                    assert.equal(report.succeeded.length, 1);
+                    assert.equal(report.failed.length, 1);
+                    assert.ok(/Response code 404/.test(report.failed[0].error));
+                    // a missing file is not retried
+                    assert.deepEqual(requests, {'/dump/NU.zip': 2, '/dump/NO.zip': 1});
+
+                    done();
+
+                });
+
+            });
+
+        });
+
+        it('downloadGeoNameCountryFiles downloads a changed archive again', function (done) {
+
+            const source = fs.readFileSync('./test/data/NU.zip');
+
+            geolistic.downloadGeoNameCountryFiles(['NU'], {adminNames: false}, function (err, report) {
+
+                assert.equal(err, null);
+                assert.equal(report.succeeded.length, 1);
+
+                fs.writeFileSync(path.join(tmpPath, 'NU.zip'), 'broken');
+
+                geolistic.downloadGeoNameCountryFiles(['NU'], {adminNames: false}, function (err, report) {
+
+                    assert.equal(err, null);
+                    assert.equal(report.succeeded.length, 1);
+                    assert.equal(report.skipped.length, 0);
+                    assert.deepEqual(fs.readFileSync(path.join(tmpPath, 'NU.zip')), source);
+
+                    done();
+
+                });
+
+            });
+
+        });
+
+        it('downloadGeoNameCountryFiles keeps the last download in the manifest while a new one is partial', function (done) {
+
+            var requests = 0;
+
+            const zip = fs.readFileSync('./test/data/NU.zip'),
+                server = http.createServer(function (req, res) {
+
+                    requests += 1;
+
+                    if (requests === 1) {
+                        res.writeHead(200, {'Last-Modified': 'Mon, 01 Jan 2018 00:00:00 GMT'});
+                        res.end(zip);
+                        return;
+                    }
+
+                    // a newer file that stops sending halfway
+                    res.writeHead(200, {'Content-Length': zip.length, 'Last-Modified': 'Tue, 02 Jan 2018 00:00:00 GMT'});
+                    res.write(zip.slice(0, 100));
+
+                });
+
+            server.listen(0, '127.0.0.1', function () {
+
+                const options = {adminNames: false, retries: 0};
+
+                geolistic.config({geonameUrl: 'http://127.0.0.1:' + server.address().port + '/dump/', downloadTimeout: 100});
+
+                geolistic.downloadGeoNameCountryFiles(['NU'], options, function (err, report) {
+
+                    assert.equal(err, null);
+                    assert.equal(report.succeeded.length, 1);
+
+                    geolistic.downloadGeoNameCountryFiles(['NU'], options, function (err, report) {
+
+                        const manifest = JSON.parse(fs.readFileSync(path.join(tmpPath, 'geolistic-manifest.json'), 'utf8')),
+                            entry = manifest[report.failed[0].url];
+
+                        geolistic.config({downloadTimeout: 60000});
+                        server.close();
+
+                        assert.equal(err, null);
+                        assert.equal(report.failed.length, 1);
+                        assert.equal(entry.lastModified, 'Mon, 01 Jan 2018 00:00:00 GMT');
+                        assert.equal(entry.size, zip.length);
+                        assert.deepEqual(entry.files, ['NU.zip']);
+                        assert.deepEqual(entry.partial, {etag: null, lastModified: 'Tue, 02 Jan 2018 00:00:00 GMT'});
+                        assert.equal(fs.statSync(path.join(tmpPath, 'NU.zip.part')).size, 100);
+
+                        done();
+
+                    });
+
+                });
+
+            });
+
+        });
+
+        it('downloadGeoNameCountryFiles retries a stalled download', function (done) {
+
+            var requests = 0;
+
+            const zip = fs.readFileSync('./test/data/NU.zip'),
+                server = http.createServer(function (req, res) {
+
+                    requests += 1;
+
+                    if (requests > 1) {
+                        res.end(zip);
+                        return;
+                    }
+
+                    // the first response stops sending halfway
+                    res.writeHead(200, {'Content-Length': zip.length});
+                    res.write(zip.slice(0, 100));
+
+                });
+
+            server.listen(0, '127.0.0.1', function () {
+
+                geolistic.config({geonameUrl: 'http://127.0.0.1:' + server.address().port + '/dump/', downloadTimeout: 100});
+
+                geolistic.downloadGeoNameCountryFiles(['NU'], {adminNames: false, retryDelay: 10}, function (err, report) {
+
+                    geolistic.config({downloadTimeout: 60000});
+                    server.close();
+
+                    assert.equal(err, null);
+                    assert.equal(requests, 2);
+                    assert.equal(report.succeeded.length, 1);
+                    assert.deepEqual(fs.readFileSync(path.join(tmpPath, 'NU.zip')), zip);
+
+                    done();
+
+                });
+
+            });
+
+        });
+
+    });
+
+    describe('createLocationStream', function () {
+
+        it('createLocationStream right', function (done) {
+
+            var locations = [],
+                locationStream = geolistic.createLocationStream('00');
+
+            locationStream.on('data', function (location) {
+                locations.push(location);
+            });
+            locationStream.on('error', done);
+            locationStream.on('end', function () {
+
+                assert.equal(locations.length, 109);
+                assert.equal(locationStream.recordsProcessed, 109);
+                assert.equal(locations[0].country, 'NU');
+                assert.deepEqual(locations[0].location, {lat: locations[0].latitude, lon: locations[0].longitude});
+                assert.equal(typeof locations[0].geonameId, 'number');
+                assert.equal(typeof locations[0].population, 'number');
+                assert.ok(Array.isArray(locations[0].alternateNames));
+                // the completion field is only indexed
+                assert.equal(locations[0].suggest, undefined);
+
+                done();
+
+            });
+
+        });
+
+        it('createLocationStream filter P', function (done) {
+
+            var locations = [],
+                locationStream = geolistic.createLocationStream('00', {classFilters: ['P']});
+
+            locationStream.on('data', function (location) {
+                locations.push(location);
+            });
+            locationStream.on('error', done);
+            locationStream.on('end', function () {
+
+                assert.equal(locations.length, 45);
+                assert.equal(locationStream.recordsProcessed, 109);
+                assert.ok(locations.every(function (location) {
+                    return location.featureClass === 'P';
+                }));
+
+                done();
+
+            });
+
+        });
+
+        it('createLocationStream invalid records', function (done) {
+
+            var locations = [],
+                invalid = [];
+
+            geolistic.config({dataPath: './test/data/invalid/'});
+
+            geolistic.createLocationStream('NU', {adminNames: false})
+                .on('data', function (location) {
+                    locations.push(location);
+                })
+                .on('invalid', function (reason, location) {
+                    invalid.push(reason);
+                })
+                .on('error', done)
+                .on('end', function () {
+
+                    assert.equal(locations.length, 1);
+                    assert.deepEqual(locations[0].alternateNames, ['Vili Village', 'Vili']);
+                    assert.equal(locations[0].elevation, null);
+                    assert.equal(locations[0].cc2, null);
+                    assert.equal(this.recordsInvalid, 2);
+                    assert.equal(invalid[0], "population 'many' is not a number");
+                    assert.equal(invalid[1], "Invalid latitude 'null'");
+
+                    done();
+
+                });
+
+        });
+
+        function helperCollect(options, fn) {
+
+            var locations = [];
+
+            geolistic.createLocationStream('00', options)
+                .on('data', function (location) {
+                    locations.push(location);
+                })
+                .on('error', fn)
+                .on('end', function () {
+                    fn(null, locations);
+                });
+
+        }
+
+        it('createLocationStream filter featureCode and population', function (done) {
+
+            helperCollect({filter: {featureCode: ['PPL', 'PPLC'], minPopulation: 100}}, function (err, locations) {
+
+                assert.equal(err, null);
+                assert.equal(locations.length, 5);
+                assert.ok(locations.every(function (location) {
+                    return location.population >= 100;
+                }));
+
+                done();
+
+            });
+
+        });
+
+        it('createLocationStream filter bbox and polygon', function (done) {
+
+            const ring = [[-169.9, -19.05], [-169.7, -19.05], [-169.7, -18.9], [-169.9, -18.9], [-169.9, -19.05]];
+
+            helperCollect({filter: {bbox: [-169.9, -19.05, -169.7, -18.9]}}, function (err, inBbox) {
+
+                assert.equal(err, null);
+                assert.equal(inBbox.length, 52);
+
+                helperCollect({filter: {polygon: {type: 'Feature', geometry: {type: 'Polygon', coordinates: [ring]}}}},
+                    function (err, inPolygon) {
+
+                        assert.equal(err, null);
+                        assert.equal(inPolygon.length, 52);
+
+                        done();
+
+                    });
+
+            });
+
+        });
+
+        it('createLocationStream filter admin1 and predicate', function (done) {
+
+            helperCollect({filter: {admin1: '00', timezone: 'Pacific/Niue', predicate: function (location) {
+                return location.featureClass === 'P';
+            }}}, function (err, locations) {
+
+                assert.equal(err, null);
+                assert.ok(locations.length > 0);
+                assert.ok(locations.every(function (location) {
+                    return location.admin1 === '00' && location.featureClass === 'P';
+                }));
+
+                done();
+
+            });
+
+        });
+
+        it('createLocationStream invalid filter', function (done) {
+
+            helperCollect({filter: {featureCodes: ['PPL']}}, function (err) {
+
+                assert.ok(err.toString().indexOf("Unknown filter 'featureCodes'") > -1);
+
+                helperCollect({filter: {bbox: [1, 2, 3]}}, function (err) {
+
+                    assert.ok(err.toString().indexOf('bbox must be an array') > -1);
+
+                    done();
+
+                });
+
+            });
+
+        });
+
+        it('createLocationStream dataset', function (done) {
+
+            var locations = [];
+
+            geolistic.config({dataPath: './test/data/datasets/'});
+
+            geolistic.createLocationStream('Cities500', {adminNames: false})
+                .on('data', function (location) {
+                    locations.push(location);
+                })
+                .on('error', done)
+                .on('end', function () {
+
+                    assert.equal(locations.length, 11);
+                    assert.ok(locations.every(function (location) {
+                        return location.population > 0;
+                    }));
+
+                    done();
+
+                });
+
+        });
+
+        it('createLocationStream zip path', function (done) {
+
+            var locations = 0;
+
+            geolistic.config({dataPath: './test/data/'});
+
+            const stream = geolistic.createLocationStream('./test/data/NU.zip')
+                .on('data', function () {
+                    locations += 1;
+                })
+                .on('error', done)
+                .on('end', function () {
+
+                    assert.equal(locations, 109);
+                    assert.equal(stream.recordsProcessed, 109);
+
+                    done();
+
+                });
+
+        });
+
+        it('createLocationStream zip with readme before the datafile', function (done) {
+
+            var locations = 0;
+
+            geolistic.createLocationStream('./test/data/datasets/cities500.zip', {adminNames: false})
+                .on('data', function () {
+                    locations += 1;
+                })
+                .on('error', done)
+                .on('end', function () {
+
+                    assert.equal(locations, 11);
+
+                    done();
+
+                });
+
+        });
+
+        it('createLocationStream zip with a data descriptor before the datafile', function (done) {
+
+            var locations = 0;
+
+            // readme.txt has its sizes in a data descriptor after its data, not in its header
+            const stream = geolistic.createLocationStream('./test/data/descriptor/cities500.zip', {adminNames: false})
+                .on('data', function () {
+                    locations += 1;
+                })
+                .on('error', done)
+                .on('end', function () {
+
+                    assert.equal(locations, 11);
+                    assert.equal(stream.recordsProcessed, 11);
+
+                    done();
+
+                });
+
+        });
+
+        it('createLocationStream zip without the datafile', function (done) {
+
+            const http = require('http'),
+                server = http.createServer(function (req, res) {
+
+                    // the zip has cities500.txt, not AT.txt
+                    require('fs').createReadStream('./test/data/datasets/cities500.zip').pipe(res);
+
+                });
+
+            server.listen(0, '127.0.0.1', function () {
+
+                geolistic.createLocationStream('http://127.0.0.1:' + server.address().port + '/AT.zip', {adminNames: false})
+                    .on('error', function (err) {
+
+                        server.close();
+                        assert.ok(err.toString().indexOf('Missing AT.txt in zip') > -1);
+
+                        done();
+
+                    }).resume();
+
+            });
+
+        });
+
+        it('createLocationStream invalid dataset', function (done) {
+
+            geolistic.createLocationStream('cities42').on('error', function (err) {
+
+                assert.ok(err.toString().indexOf("Invalid countryCode 'cities42', should be two char string or one of allCountries") > -1);
+
+                done();
+
+            });
+
+        });
+
+        it('createLocationStream country does not exists', function (done) {
+
+            geolistic.createLocationStream('01').on('error', function (err) {
+
+                assert.ok(err.toString().indexOf('Missing datafile for 01') > -1);
+
+                done();
+
+            }).resume();
+
+        });
+
+        it('createLocationStream wrong country code format', function (done) {
+
+            geolistic.createLocationStream('yes sir').on('error', function (err) {
+
+                assert.ok(err.toString().indexOf('Invalid countryCode ') > -1);
+
+                done();
+
+            });
+
+        });
+
+    });
+
+    describe('createExportStream/exportLocations', function () {
+
+        const fs = require('fs'),
+            os = require('os'),
+            path = require('path'),
+            exportFile = path.join(os.tmpdir(), 'geolistic-test-export');
+
+        afterEach(function () {
+
+            try {fs.unlinkSync(exportFile);} catch (ex) {}
+
+        });
+
+        it('exportLocations geojson', function (done) {
+
+            geolistic.exportLocations('00', {format: 'geojson', out: exportFile, classFilters: ['P']}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.processed, 109);
+                assert.equal(result.exported, 45);
+
+                var geojson = JSON.parse(fs.readFileSync(exportFile, 'utf8'));
+
+                assert.equal(geojson.type, 'FeatureCollection');
+                assert.equal(geojson.features.length, 45);
+                assert.equal(geojson.features[0].geometry.type, 'Point');
+                assert.equal(typeof geojson.features[0].geometry.coordinates[0], 'number');
+                assert.equal(geojson.features[0].properties.featureClass, 'P');
+
+                done();
+
+            });
+
+        });
+
+        it('exportLocations csv', function (done) {
+
+            geolistic.exportLocations('00', {format: 'csv', out: exportFile}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.exported, 109);
+
+                var lines = fs.readFileSync(exportFile, 'utf8').trim().split('\n');
+
+                assert.equal(lines.length, 110);
+                assert.equal(lines[0].split(',')[0], 'geonameId');
+
+                done();
+
+            });
+
+        });
+
+        it('exportLocations ndjson promise', function () {
+
+            return geolistic.exportLocations('00', {out: exportFile}).then(function (result) {
+
+                var lines = fs.readFileSync(exportFile, 'utf8').trim().split('\n');
+
+                assert.equal(result.exported, 109);
+                assert.equal(lines.length, 109);
+                assert.equal(JSON.parse(lines[0]).country, 'NU');
+                assert.equal(JSON.parse(lines[0]).suggest, undefined);
+
+            });
+
+        });
+
+        it('exportLocations country does not exists', function (done) {
+
+            geolistic.exportLocations('01', {out: exportFile}, function (err) {
+
+                assert.ok(err.toString().indexOf('Missing datafile for 01') > -1);
+                assert.ok(!fs.existsSync(exportFile));
+
+                done();
+
+            });
+
+        });
+
+        it('createExportStream invalid format', function () {
+
+            assert.throws(function () {
+
+                geolistic.createExportStream('xml');
+
+            }, /Invalid export format/);
+
+        });
+
+    });
+
+    describe('addFileToElastic', function () {
+
+        it('addFileToElastic right', function (done) {
+
+            assert.doesNotThrow(function () {
+
+                // 00 as country means test mode
+                geolistic.addFileToElastic('00', function (err, result) {
+
+                    assert.equal(err, null);
+                    assert.notEqual(result, null);
+                    assert.equal(result.processed, 109);
+                    assert.equal(result.added, 109);
+
+                    done();
+
+                });
+
+            });
+
+        });
+        it('addFileToElastic filter P', function (done) {
+
+            assert.doesNotThrow(function () {
+
+                // 00 as country means test mode
+                geolistic.addFileToElastic('00', {classFilters: ['P']}, function (err, result) {
+
+                    assert.equal(err, null);
+                    assert.notEqual(result, null);
+                    assert.equal(result.processed, 109);
+                    assert.equal(result.added, 45);
+
+                    done();
+
+                });
+
+            });
+
+        });
+        it('addFileToElastic short buffer', function (done) {
+
+            assert.doesNotThrow(function () {
+
+                // 00 as country means test mode
+                geolistic.addFileToElastic('00', {bufferRecords: 5}, function (err, result) {
+
+                    assert.equal(err, null);
+                    assert.notEqual(result, null);
+                    assert.equal(result.processed, 109);
+                    assert.equal(result.added, 109);
+
+                    done();
+
+                });
+
+            });
+
+        });
+
+        it('addFileToElastic admin names', function (done) {
+
+            var docs = [];
+
+            geolistic.config({dataPath: './test/data/',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                    docs = docs.concat(input.body);
+                    fn(null, {});
+                }}});
+
+            geolistic.addFileToElastic('NU', function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.added, 109);
+
+                var alofi = docs.filter(function (doc) {
+                    return doc.geonameId === 4036284;
+                })[0];
+
+                assert.equal(alofi.countryName, 'Niue');
+                assert.equal(alofi.admin1Name, 'Niue');
+                assert.equal(alofi.admin2Name, null);
+                assert.deepEqual(alofi.suggest, {input: ['Alofi'], weight: 624,
+                    contexts: {country: ['NU'], featureClass: ['P'], countryFeatureClass: ['NU_P']}});
+
+                done();
+
+            });
+
+        });
+
+        it('addFileToElastic suggest contexts without country', function (done) {
+
+            const fs = require('fs'),
+                os = require('os'),
+                path = require('path'),
+                tmpPath = fs.mkdtempSync(path.join(os.tmpdir(), 'geolistic-suggest-'));
+
+            var docs = [];
+
+            // an undersea feature without country, as in allCountries
+            fs.writeFileSync(path.join(tmpPath, 'XX.txt'), ['3373406', 'Mid-Atlantic Ridge', 'Mid-Atlantic Ridge', '',
+                '0', '-30', 'U', 'RDGU', '', '', '', '', '', '', '0', '', '-3000', '', '2012-01-01'].join('\t') + '\n');
+
+            geolistic.config({dataPath: tmpPath,
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                    docs = docs.concat(input.body);
+                    fn(null, {});
+                }}});
+
+            geolistic.addFileToElastic('XX', {adminNames: false}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.added, 1);
+                assert.deepEqual(docs[1].suggest.contexts, {country: ['_none'], featureClass: ['U'],
+                    countryFeatureClass: ['_none_U']});
+
+                fs.rmSync(tmpPath, {recursive: true, force: true});
+                done();
+
+            });
+
+        });
+
+        it('addFileToElastic invalid records', function (done) {
+
+            var docs = [],
+                invalid = 0;
+
+            geolistic.config({dataPath: './test/data/invalid/',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                    docs = docs.concat(input.body);
+                    fn(null, {});
+                }}});
+
+            geolistic.addFileToElastic('NU', {adminNames: false, invalidRecord: function () {
+                invalid += 1;
+            }}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.processed, 3);
+                assert.equal(result.added, 1);
+                assert.equal(result.invalid, 2);
+                assert.equal(invalid, 2);
+                assert.equal(docs.length, 2);
+
+                done();
+
+            });
+
+        });
+
+        it('addFileToElastic job events', function (done) {
+
+            var events = [];
+
+            const job = geolistic.createJob();
+
+            job.on('start', function (start) {
+                events.push('start');
+                assert.deepEqual(start, {type: 'import', country: 'NU'});
+            });
+            job.on('progress', function (progress) {
+                events.push('progress');
+                assert.equal(progress.records, 3);
+                assert.equal(progress.bytesTotal, require('fs').statSync('./test/data/invalid/NU.txt').size);
+                assert.equal(progress.bytes, progress.bytesTotal);
+                assert.equal(progress.eta, 0);
+            });
+            job.on('warning', function (warning) {
+                events.push('warning');
+                assert.ok(warning.message.indexOf('Invalid record') === 0);
+            });
+            job.on('countryDone', function (countryDone) {
+                events.push('countryDone');
+                assert.equal(countryDone.result.added, 1);
+            });
+
+            geolistic.config({dataPath: './test/data/invalid/',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                    fn(null, {});
+                }}});
+
+            geolistic.addFileToElastic('NU', {adminNames: false, job: job}, function (err) {
+
+                assert.equal(err, null);
+                assert.deepEqual(events, ['start', 'warning', 'warning', 'progress', 'countryDone']);
+
+                done();
+
+            });
+
+        });
+
+        it('addFileToElastic job error', function (done) {
+
+            const job = geolistic.createJob();
+
+            var jobError = null;
+
+            job.on('error', function (err) {
+                jobError = err;
+            });
+
+            geolistic.addFileToElastic('01', {job: job}, function (err) {
+
+                assert.equal(jobError, err);
+                assert.ok(err.toString().indexOf('Missing datafile for 01') > -1);
+
+                // a job without error listeners does not throw
+                geolistic.addFileToElastic('01', {job: geolistic.createJob()}, function (err) {
+
+                    assert.notEqual(err, null);
+
+                    done();
+
+                });
+
+            });
+
+        });
+
+        it('addFileToElastic retries and dead-letter file', function (done) {
+
+            const fs = require('fs'),
+                os = require('os'),
+                path = require('path'),
+                deadLetterFile = path.join(os.tmpdir(), 'geolistic-test-failed.ndjson');
+
+            var requests = 0;
+
+            try {fs.unlinkSync(deadLetterFile);} catch (ex) {}
+
+            geolistic.config({dataPath: './test/data/',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+
+                    requests += 1;
+
+                    if (requests === 1) {
+                        fn({status: 429, message: 'Too many requests'});
+                        return;
+                    }
+
+                    // every document of the first attempt is rejected, 429s are retried
+                    fn(null, {errors: requests === 2, items: input.body.filter(function (line, i) {
+                        return i % 2 === 0;
+                    }).map(function (action, i) {
+                        return {index: {_id: action.index._id,
+                            status: (requests === 2 ? (i === 0 ? 400 : 429) : 201),
+                            error: (requests === 2 ? {type: 'rejected'} : undefined)}};
+                    })});
+
+                }}});
+
+            geolistic.addFileToElastic('NU', {retryDelay: 1, deadLetterFile: deadLetterFile}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(requests, 3);
+                assert.equal(result.processed, 109);
+                assert.equal(result.added, 108);
+                assert.equal(result.failed, 1);
+
+                var deadLetters = fs.readFileSync(deadLetterFile, 'utf8').trim().split('\n').map(JSON.parse);
+
+                assert.equal(deadLetters.length, 1);
+                assert.equal(deadLetters[0].status, 400);
+                assert.equal(deadLetters[0].document.geonameId, deadLetters[0].action.index._id);
+
+                fs.unlinkSync(deadLetterFile);
+
+                done();
+
+            });
+
+        });
+
+        it('addFileToElastic request error without retry', function (done) {
+
+            var requests = 0;
+
+            geolistic.config({dataPath: './test/data/',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                    requests += 1;
+                    fn({status: 400, message: 'Bad request'});
+                }}});
+
+            geolistic.addFileToElastic('NU', {retryDelay: 1}, function (err) {
+
+                assert.equal(err.message, 'Bad request');
+                assert.equal(requests, 1);
+
+                done();
+
+            });
+
+        });
+
+        it('addFileToElastic bulk concurrency', function (done) {
+
+            var requests = 0,
+                inFlight = 0,
+                maxInFlight = 0;
+
+            geolistic.config({dataPath: './test/data/',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+
+                    requests += 1;
+                    inFlight += 1;
+                    maxInFlight = Math.max(maxInFlight, inFlight);
+
+                    setTimeout(function () {
+                        inFlight -= 1;
+                        fn(null, {});
+                    }, 5);
+
+                }}});
+
+            geolistic.addFileToElastic('NU', {bufferRecords: 10, bulkConcurrency: 3}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.added, 109);
+                assert.equal(requests, 11);
+                assert.equal(maxInFlight, 3);
+
+                done();
+
+            });
+
+        });
+
+        it('addFileToElastic bulk concurrency error', function (done) {
+
+            var requests = 0,
+                bufferAdded = 0;
+
+            geolistic.config({dataPath: './test/data/',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+
+                    requests += 1;
+
+                    if (requests === 1) {
+                        setTimeout(function () {
+                            fn({status: 400, message: 'Bad request'});
+                        }, 2);
+                        return;
+                    }
+
+                    setTimeout(function () {
+                        fn(null, {});
+                    }, 10);
+
+                }}});
+
+            geolistic.addFileToElastic('NU', {bufferRecords: 10, bulkConcurrency: 3, bufferAdded: function () {
+                bufferAdded += 1;
+            }}, function (err) {
+
+                const sent = requests,
+                    added = bufferAdded;
+
+                assert.equal(err.message, 'Bad request');
+                assert.equal(sent, 3);
+
+                // the requests still in flight finish, but no further buffers are sent or reported
+                setTimeout(function () {
+
+                    assert.equal(requests, sent);
+                    assert.equal(bufferAdded, added);
+
+                    done();
+
+                }, 50);
+
+            });
+
+        });
+
+        it('addFileToElastic buffer bytes', function (done) {
+
+            var sizes = [];
+
+            geolistic.config({dataPath: './test/data/',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                    // bufferBytes counts bytes, names can have multi-byte characters
+                    sizes.push(input.body.reduce(function (size, line) {
+                        return size + Buffer.byteLength(JSON.stringify(line) + '\n');
+                    }, 0));
+                    fn(null, {});
+                }}});
+
+            geolistic.addFileToElastic('NU', {bufferBytes: 4000}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.added, 109);
+                assert.ok(sizes.length > 5);
+                assert.ok(sizes.slice(0, -1).every(function (size) {
+                    return size >= 4000 && size < 6000;
+                }));
+
+                done();
+
+            });
+
+        });
+
+        it('addFileToElastic filter', function (done) {
+
+            geolistic.addFileToElastic('00', {filter: {featureCode: 'PPL', maxPopulation: 0}}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.processed, 109);
+                assert.ok(result.added > 0 && result.added < 43);
+
+                done();
+
+            });
+
+        });
+
+        it('addFileToElastic dataset', function (done) {
+
+            var docs = 0;
+
+            geolistic.config({dataPath: './test/data/datasets/',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                    docs += input.body.length / 2;
+                    fn(null, {});
+                }}});
+
+            geolistic.addFileToElastic('cities500', {adminNames: false}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.added, 11);
+                assert.equal(docs, 11);
+
+                done();
+
+            });
+
+        });
+
+        it('addFileToElastic download', function (done) {
+
+            var docs = 0;
+
+            const path = require('path'),
+                url = require('url');
+
+            geolistic.config({dataPath: './test/data/',
+                geonameUrl: url.pathToFileURL(path.resolve('./test/data/')).href,
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                    docs += input.body.length / 2;
+                    fn(null, {});
+                }}});
+
+            geolistic.addFileToElastic('NU', {download: true}, function (err, result) {
+
+                geolistic.config({geonameUrl: 'http://download.geonames.org/export/dump/'});
+
+                assert.equal(err, null);
+                assert.equal(result.processed, 109);
+                assert.equal(result.added, 109);
+                assert.equal(docs, 109);
+
+                done();
+
+            });
+
+        });
+
+        it('addFileToElastic download ends on bulk error', function (done) {
+
+            var requests = 0;
+
+            const http = require('http'),
+                fs = require('fs'),
+                server = http.createServer(function (req, res) {
+
+                    // the response is never ended, only a failed import closes it
+                    res.write(fs.readFileSync('./test/data/NU.zip'));
+                    res.on('close', function () {
+
+                        server.close();
+
+                        assert.equal(requests, 1);
+
+                        done();
+
+                    });
+
+                });
+
+            server.listen(0, '127.0.0.1', function () {
+
+                geolistic.config({dataPath: './test/data/',
+                    geonameUrl: 'http://127.0.0.1:' + server.address().port + '/dump/',
+                    elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                        requests += 1;
+                        fn({status: 400, message: 'Bad request'});
+                    }}});
+
+                geolistic.addFileToElastic('NU', {download: true, bufferRecords: 10}, function (err) {
+
+                    geolistic.config({geonameUrl: 'http://download.geonames.org/export/dump/'});
+
+                    assert.equal(err.message, 'Bad request');
+
+                });
+
+            });
+
+        });
+
+        it('addFileToElastic promise', function () {
+
+            return geolistic.addFileToElastic('00', {classFilters: ['P']}).then(function (result) {
+
+                assert.equal(result.processed, 109);
+                assert.equal(result.added, 45);
+
+            });
+
+        });
+
+        it('addFileToElastic promise rejected', function () {
+
+            return geolistic.addFileToElastic('01').then(function () {
+
+                assert.fail('should be rejected');
+
+            }, function (err) {
+
+                assert.ok(err.toString().indexOf('Missing datafile for 01') > -1);
+
+            });
+
+        });
+
+        it('addFileToElastic wrong country code format', function (done) {
+
+            geolistic.addFileToElastic('yes sir', function (err, result) {
+
+                assert.notEqual(err, null);
+                assert.equal(result, undefined);
+                assert.ok(err.toString().indexOf('Invalid countryCode ') > -1);
+
+                done();
+
+            });
+
+        });
+
+        it('addFileToElastic country does not exists', function (done) {
+
+            geolistic.addFileToElastic('01', function (err, result) {
+
+                assert.notEqual(err, null);
+                assert.equal(result, undefined);
+                assert.ok(err.toString().indexOf('Missing datafile for 01') > -1);
+
+                done();
+
+            });
+
+        });
+
+    });
+
+    describe('addAlternateNamesToElastic', function () {
+
+        it('addAlternateNamesToElastic right', function (done) {
+
+            // 00 as country means test mode
+            geolistic.addAlternateNamesToElastic('00', function (err, result) {
+
+                assert.equal(err, null);
+                assert.notEqual(result, null);
+                assert.equal(result.processed, 11);
+                assert.equal(result.updated, 3);
+
+                done();
+
+            });
+
+        });
+
+        it('addAlternateNamesToElastic filter languages', function (done) {
+
+            geolistic.addAlternateNamesToElastic('00', {languages: ['ja']}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.processed, 11);
+                assert.equal(result.updated, 2);
+
+                done();
+
+            });
+
+        });
+
+        it('addAlternateNamesToElastic updates the configured index', function (done) {
+
+            var actions = [];
+
+            geolistic.config({dataPath: './test/data/', elasticPath: 'geonames/geoname',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                    actions = actions.concat(input.body.filter(function (line) {
+                        return line.update;
+                    }));
+                    fn(null, {});
+                }}});
+
+            geolistic.addAlternateNamesToElastic('NU', {bufferRecords: 1}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.updated, 3);
+                assert.equal(actions.length, 3);
+                actions.forEach(function (action) {
+                    assert.equal(action.update._index, 'geonames');
+                });
+
+                actions = [];
+
+                geolistic.addAlternateNamesToElastic('NU', {index: 'geonames-20171019143005'}, function (err) {
+
+                    assert.equal(err, null);
+                    assert.equal(actions[0].update._index, 'geonames-20171019143005');
+
+                    done();
+
+                });
+
+            });
+
+        });
+
+        it('addAlternateNamesToElastic sends each location with all of its names', function (done) {
+
+            var requests = [];
+
+            geolistic.config({dataPath: './test/data/', elasticPath: 'geonames/geoname',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                    requests.push(input.body);
+                    fn(null, {});
+                }}});
+
+            geolistic.addAlternateNamesToElastic('NU', {bufferRecords: 1}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.updated, 3);
+                assert.equal(result.failed, 0);
+                assert.deepEqual(requests.map(function (body) {
+                    return [body[0].update._id, body[1].doc.nameVariants.length];
+                }), [['4036232', 4], ['4036284', 3], ['6299957', 2]]);
+
+                done();
+
+            });
+
+        });
+
+        it('addAlternateNamesToElastic retries and dead-letter file', function (done) {
+
+            const fs = require('fs'),
+                os = require('os'),
+                path = require('path'),
+                deadLetterFile = path.join(os.tmpdir(), 'geolistic-test-failed-names.ndjson');
+
+            var requests = 0;
+
+            try {fs.unlinkSync(deadLetterFile);} catch (ex) {}
+
+            geolistic.config({dataPath: './test/data/',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+
+                    requests += 1;
+
+                    // the first location is not indexed, the others are retried after a 429
+                    fn(null, {errors: requests === 1, items: input.body.filter(function (line, i) {
+                        return i % 2 === 0;
+                    }).map(function (action, i) {
+                        return {update: {_id: action.update._id,
+                            status: (requests === 1 ? (i === 0 ? 404 : 429) : 200),
+                            error: (requests === 1 ? {type: 'document_missing_exception'} : undefined)}};
+                    })});
+
+                }}});
+
+            geolistic.addAlternateNamesToElastic('NU', {retryDelay: 1, deadLetterFile: deadLetterFile}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(requests, 2);
+                assert.equal(result.processed, 11);
+                assert.equal(result.updated, 2);
+                assert.equal(result.failed, 1);
+
+                var deadLetters = fs.readFileSync(deadLetterFile, 'utf8').trim().split('\n').map(JSON.parse);
+
+                assert.equal(deadLetters.length, 1);
+                assert.equal(deadLetters[0].status, 404);
+                assert.equal(deadLetters[0].action.update._id, '4036232');
+
+                fs.unlinkSync(deadLetterFile);
+
+                done();
+
+            });
+
+        });
+
+        it('addAlternateNamesToElastic wrong country code format', function (done) {
+
+            geolistic.addAlternateNamesToElastic('yes sir', function (err, result) {
+
+                assert.notEqual(err, null);
+                assert.equal(result, undefined);
+                assert.ok(err.toString().indexOf('Invalid countryCode ') > -1);
+
+                done();
+
+            });
+
+        });
+
+        it('addAlternateNamesToElastic country does not exists', function (done) {
+
+            geolistic.addAlternateNamesToElastic('01', function (err, result) {
+
+                assert.notEqual(err, null);
+                assert.equal(result, undefined);
+                assert.ok(err.toString().indexOf('Missing alternate names datafile for 01') > -1);
+
+                done();
+
+            });
+
+        });
+
+    });
+
+    describe('applyDailyUpdates', function () {
+
+        const fs = require('fs'),
+            os = require('os'),
+            path = require('path'),
+            stateFile = path.join(os.tmpdir(), 'geolistic-updates-test.json');
+
+        var docs = [],
+            mgets = 0,
+            rejected = false;
+
+        before(function () {
+
+            geolistic.config({dataPath: './test/data/',
+                elasticClient: {
+                    info: helperInfo,
+                    bulk: function (input, fn) {
+                        docs = docs.concat(input.body);
+                        if (!rejected) {
+                            fn(null, {});
+                            return;
+                        }
+                        // the first action is rejected, the others succeed
+                        fn(null, {errors: true, items: input.body.filter(function (line) {
+                            return line.update || line.delete;
+                        }).map(function (line, i) {
+                            return (i ? {update: {status: 200}} :
+                                {update: {status: 400, error: {type: 'mapper_parsing_exception'}}});
+                        })});
+                    },
+                    mget: function (input, fn) {
+                        mgets += 1;
+                        fn(null, {docs: input.body.ids.map(function (id) {
+                            return id !== '4036284' ? {_id: id, found: false} :
+                                {_id: id, found: true, _source: {nameVariants: [
+                                    {alternateNameId: '1561007', isoLanguage: 'en', name: 'Alofi'},
+                                    {alternateNameId: '1561008', isoLanguage: 'ja', name: 'アロフィ', isPreferredName: true}
+                                ]}};
+                        })});
+                    }
+                }});
+
+        });
+
+        after(function () {
+
+            if (fs.existsSync(stateFile)) {
+                fs.unlinkSync(stateFile);
+            }
+
+        });
+
+        it('applyDailyUpdates right', function (done) {
+
+            geolistic.applyDailyUpdates('2017-10-02', {download: false, stateFile: stateFile}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.deepEqual(result.dates, ['2017-10-02']);
+                assert.equal(result.updated, 2);
+                assert.equal(result.deleted, 1);
+                assert.equal(result.namesUpdated, 1);
+
+                var names = docs.filter(function (doc) {
+                    return doc.doc && doc.doc.nameVariants;
+                })[0].doc;
+
+                assert.deepEqual(names.names.de, ['Alofi']);
+                assert.equal(names.names.ja, null);
+                assert.equal(JSON.parse(fs.readFileSync(stateFile)).lastApplied, '2017-10-02');
+
+                done();
+
+            });
+
+        });
+
+        it('applyDailyUpdates rejected updates', function (done) {
+
+            const rejectedStateFile = path.join(os.tmpdir(), 'geolistic-updates-rejected-test.json'),
+                deadLetterFile = path.join(os.tmpdir(), 'geolistic-failed-updates-test.ndjson');
+
+            fs.writeFileSync(rejectedStateFile, JSON.stringify({lastApplied: '2017-10-01'}));
+            rejected = true;
+
+            geolistic.applyDailyUpdates('2017-10-02', {download: false, stateFile: rejectedStateFile,
+                deadLetterFile: deadLetterFile}, function (err, result) {
+
+                rejected = false;
+
+                assert.notEqual(err, null);
+                assert.ok(err.toString().indexOf('1 updates of 2017-10-02 were rejected') > -1);
+                assert.equal(JSON.parse(fs.readFileSync(rejectedStateFile)).lastApplied, '2017-10-01');
+
+                const failed = fs.readFileSync(deadLetterFile, 'utf8').trim().split('\n').map(JSON.parse);
+                assert.equal(failed.length, 1);
+                assert.equal(failed[0].status, 400);
+
+                fs.unlinkSync(rejectedStateFile);
+                fs.unlinkSync(deadLetterFile);
+                done();
+
+            });
+
+        });
+
+        it('applyDailyUpdates without nameVariants field', function (done) {
+
+            const skipStateFile = path.join(os.tmpdir(), 'geolistic-updates-skip-test.json');
+
+            mgets = 0;
+            geolistic.config({fields: {nameVariants: false}});
+
+            geolistic.applyDailyUpdates('2017-10-02', {download: false, stateFile: skipStateFile}, function (err, result) {
+
+                geolistic.config({fields: null});
+
+                assert.equal(err, null);
+                assert.equal(result.updated, 2);
+                assert.equal(result.namesUpdated, 0);
+                assert.ok(result.namesSkipped > 0);
+                // names can not be rebuilt without the stored variants, so they are not read
+                assert.equal(mgets, 0);
+
+                fs.unlinkSync(skipStateFile);
+                done();
+
+            });
+
+        });
+
+        it('applyDailyUpdates wrong date format', function (done) {
+
+            geolistic.applyDailyUpdates('02.10.2017', function (err, result) {
+
+                assert.notEqual(err, null);
+                assert.equal(result, undefined);
+                assert.ok(err.toString().indexOf('Invalid date ') > -1);
+
+                done();
+
+            });
+
+        });
+
+        it('applyDailyUpdates missing files', function (done) {
+
+            geolistic.applyDailyUpdates('2017-10-03', {download: false, stateFile: stateFile}, function (err, result) {
+
+                assert.notEqual(err, null);
+                assert.ok(err.toString().indexOf('Missing update file for 2017-10-03') > -1);
+
+                done();
+
+            });
+
+        });
+
+    });
+
+    describe('addPostalFileToElastic/lookupPostalCode/searchPostalCodes', function () {
+
+        var query;
+
+        it('addPostalFileToElastic right', function (done) {
+
+            // 00 as country means test mode
+            geolistic.addPostalFileToElastic('00', function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(result.processed, 6);
+                assert.equal(result.added, 6);
+
+                done();
+
+            });
+
+        });
+
+        it('addPostalFileToElastic types and invalid records', function (done) {
+
+            const fs = require('fs'),
+                os = require('os'),
+                path = require('path'),
+                tmpPath = fs.mkdtempSync(path.join(os.tmpdir(), 'geolistic-postal-'));
+
+            var docs = [],
+                invalid = [];
+
+            fs.mkdirSync(path.join(tmpPath, 'postalcodes'));
+            fs.writeFileSync(path.join(tmpPath, 'postalcodes', 'XX.txt'), [
+                'NO\t0150\tOslo\tOslo\t03\tOslo\t0301\t\t\t59.9076\t10.7538\t4',
+                'NO\t9999\tNowhere\t\t\t\t\t\t\t\t\t',
+                'NO\t0151\tOslo\tOslo\t03\tOslo\t0301\t\t\t59.9087\t10.7497\tgood'
+            ].join('\n') + '\n');
+
+            geolistic.config({dataPath: tmpPath, elasticPostalPath: 'postalcodes/postalcode',
+                elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                    docs = docs.concat(input.body);
+                    fn(null, {});
+                }}});
+
+            geolistic.addPostalFileToElastic('XX', {invalidRecord: function (reason) {
+                invalid.push(reason);
+            }}, function (err, result) {
+
+                fs.rmSync(tmpPath, {recursive: true, force: true});
+                geolistic.config({dataPath: './test/data/'});
+
+                assert.equal(err, null);
+                assert.equal(result.processed, 3);
+                assert.equal(result.added, 1);
+                assert.equal(result.invalid, 2);
+                assert.deepEqual(invalid, ["Invalid latitude 'null'", "accuracy 'good' is not a number"]);
+                assert.strictEqual(docs[1].latitude, 59.9076);
+                assert.strictEqual(docs[1].accuracy, 4);
+                assert.strictEqual(docs[1].admin3, null);
+                assert.deepEqual(docs[1].location, {lat: 59.9076, lon: 10.7538});
+
+                done();
+
+            });
+
+        });
+
+        it('addPostalFileToElastic country does not exists', function (done) {
+
+            geolistic.addPostalFileToElastic('01', function (err, result) {
+
+                assert.notEqual(err, null);
+                assert.equal(result, undefined);
+                assert.ok(err.toString().indexOf('Missing postal code datafile for 01') > -1);
+
+                done();
+
+            });
+
+        });
+
+        it('lookupPostalCode right', function (done) {
+
+            geolistic.config({elasticPostalPath: 'postalcodes/postalcode',
+                elasticClient: {info: helperInfo, search: function (input, fn) {
+                    query = input;
+                    fn(null, {hits: {hits: [{_source: {country: 'NO', postalCode: '0150', placeName: 'Oslo'}}]}});
+                }}});
+
+            geolistic.lookupPostalCode('no', '0150', function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(query.index, 'postalcodes');
+                assert.deepEqual(query.body.query.bool.filter[0], {term: {country: 'NO'}});
+                assert.equal(result.length, 1);
+                assert.equal(result[0].placeName, 'Oslo');
+
+                done();
+
+            });
+
+        });
+
+        it('lookupPostalCode wrong country', function (done) {
+
+            geolistic.lookupPostalCode('Norway', '0150', function (err, result) {
+
+                assert.notEqual(err, null);
+                assert.ok(err.toString().indexOf("Invalid country 'Norway'") > -1);
+
+                done();
+
+            });
+
+        });
+
+        it('searchPostalCodes right', function (done) {
+
+            geolistic.searchPostalCodes('01', {country: 'NO', size: 3}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(query.size, 3);
+                assert.equal(result[0].postalCode, '0150');
+
+                done();
+
+            });
+
+        });
+
+    });
+
+    describe('search', function () {
+
+        var query;
+
+        before(function () {
+
+            geolistic.config({elasticPath: 'geonames/geoname',
+                elasticClient: {info: helperInfo, search: function (input, fn) {
+                    query = input;
+                    fn(null, {hits: {total: 1, hits: [{_score: 1, _source: {geonameId: '4036284', name: 'Alofi',
+                        population: '624', latitude: '-19.05451', longitude: '-169.91768',
+                        preferredNames: {ja: 'アロフィ'}}}]}});
+                }}});
+
+        });
+
+        it('search right', function (done) {
+
+            geolistic.search('Alofi', function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(query.size, 10);
+                assert.deepEqual(query.body.query.bool.filter, []);
+                assert.equal(result.total, 1);
+                assert.strictEqual(result.locations[0].geonameId, 4036284);
+                assert.strictEqual(result.locations[0].population, 624);
+                assert.equal(result.locations[0].localizedName, undefined);
+
+                done();
+
+            });
+
+        });
+
+        it('search with options', function (done) {
+
+            geolistic.search('Alofi', {country: 'nu', featureCode: ['PPLC', 'PPLA'], minPopulation: 100,
+                bbox: [-170, -20, -169, -18], language: 'ja', from: 10, size: 5}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(query.from, 10);
+                assert.equal(query.size, 5);
+                assert.deepEqual(query.body.query.bool.filter[0], {term: {country: 'NU'}});
+                assert.deepEqual(query.body.query.bool.filter[1], {terms: {featureCode: ['PPLC', 'PPLA']}});
+                assert.deepEqual(query.body.query.bool.filter[3].geo_bounding_box.location.top_left, {lat: -18, lon: -170});
+                assert.ok(query.body.query.bool.must[0].multi_match.fields.indexOf('names.ja') > -1);
+                assert.equal(result.locations[0].localizedName, 'アロフィ');
+
+                done();
+
+            });
+
+        });
+
+        it('search wrong bbox', function (done) {
+
+            geolistic.search('Alofi', {bbox: [1, 2]}, function (err, result) {
+
+                assert.notEqual(err, null);
+                assert.equal(result, undefined);
+                assert.ok(err.toString().indexOf('bbox must be an array') > -1);
+
+                done();
+
+            });
+
+        });
+
+        it('search total of elastic 7', function (done) {
+
+            geolistic.config({elasticPath: 'geonames/geoname',
+                elasticClient: {info: function (input, fn) {
+                    fn(null, {version: {number: '7.4.0'}});
+                }, search: function (input, fn) {
+                    fn(null, {hits: {total: {value: 1, relation: 'eq'}, hits: [{_score: 1, _source: {geonameId: '4036284',
+                        name: 'Alofi', population: '624', latitude: '-19.05451', longitude: '-169.91768'}}]}});
+                }}});
+
+            geolistic.search('Alofi', function (err, result) {
+
+                assert.equal(err, null);
+                assert.strictEqual(result.total, 1);
+                assert.strictEqual(result.locations[0].geonameId, 4036284);
+
+                done();
+
+            });
+
+        });
+
+    });
+
+    describe('autocomplete', function () {
+
+        var query;
+
+        before(function () {
+
+            geolistic.config({elasticPath: 'geonames/geoname',
+                elasticClient: {info: helperInfo, search: function (input, fn) {
+                    query = input;
+                    fn(null, {suggest: {locations: [{text: 'Alo', options: [
+                        {text: 'Alofi', _score: 624, _source: {geonameId: '4036284', name: 'Alofi', population: '624'}},
+                        {text: 'Alofi Bay', _score: 0, _source: {geonameId: '4036283', name: 'Alofi Bay', population: '0'}}
+                    ]}]}});
+                }}});
+
+        });
+
+        it('autocomplete right', function (done) {
+
+            geolistic.autocomplete('Alo', function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(query.body.suggest.locations.prefix, 'Alo');
+                assert.deepEqual(query.body.suggest.locations.completion.contexts,
+                    {featureClass: ['A', 'H', 'L', 'P', 'R', 'S', 'T', 'U', 'V', '_none']});
+                assert.equal(result.length, 2);
+                assert.equal(result[0].name, 'Alofi');
+                assert.strictEqual(result[0].population, 624);
+
+                done();
+
+            });
+
+        });
+
+        it('autocomplete with options', function (done) {
+
+            geolistic.autocomplete('Alo', {country: 'nu', featureClass: 'P', size: 2, fuzzy: true}, function (err, result) {
+
+                assert.equal(err, null);
+                assert.deepEqual(query.body.suggest.locations.completion.contexts, {countryFeatureClass: ['NU_P']});
+                assert.equal(query.body.suggest.locations.completion.size, 2);
+                assert.ok(query.body.suggest.locations.completion.fuzzy);
+
+                done();
+
+            });
+
+        });
+
+        it('autocomplete country and feature class filters', function (done) {
+
+            const fs = require('fs'),
+                os = require('os'),
+                path = require('path'),
+                tmpPath = fs.mkdtempSync(path.join(os.tmpdir(), 'geolistic-suggest-'));
+
+            var docs = [];
+
+            // suggestions of the query, with the context matching of elastic (ORed across mappings)
+            function helperSuggestions(completion) {
+
+                return docs.filter(function (doc) {
+                    return doc.suggest && Object.keys(completion.contexts).some(function (name) {
+                        return completion.contexts[name].indexOf(doc.suggest.contexts[name][0]) > -1;
+                    });
+                }).map(function (doc) {
+                    return {text: doc.name, _score: doc.suggest.weight, _source: doc};
+                });
+
+            }
+
+            function helperRow(geonameId, name, featureClass, country) {
+
+                return [geonameId, name, name, '', '0', '0', featureClass, '', country, '', '', '', '', '', '0', '', '',
+                    '', '2012-01-01'].join('\t');
+
+            }
+
+            fs.writeFileSync(path.join(tmpPath, 'XX.txt'), [helperRow('3143244', 'Oslo', 'P', 'NO'),
+                helperRow('3143242', 'Oslofjorden', 'H', 'NO'), helperRow('4036284', 'Alofi', 'P', 'NU')].join('\n') + '\n');
+
+            geolistic.config({dataPath: tmpPath, elasticClient: {info: helperInfo, bulk: function (input, fn) {
+                docs = docs.concat(input.body);
+                fn(null, {});
+            }, search: function (input, fn) {
+                fn(null, {suggest: {locations: [{text: input.body.suggest.locations.prefix,
+                    options: helperSuggestions(input.body.suggest.locations.completion)}]}});
+            }}});
+
+            function helperNames(result) {
+
+                return result.map(function (location) {
+                    return location.name;
+                });
+
+            }
+
+            geolistic.addFileToElastic('XX', {adminNames: false}).then(function () {
+
+                fs.rmSync(tmpPath, {recursive: true, force: true});
+
+                return geolistic.autocomplete('O', {country: 'NO'});
+
+            }).then(function (result) {
+
+                assert.deepEqual(helperNames(result), ['Oslo', 'Oslofjorden']);
+
+                return geolistic.autocomplete('O', {country: 'NO', featureClass: 'P'});
+
+            }).then(function (result) {
+
+                assert.deepEqual(helperNames(result), ['Oslo']);
+
+                return geolistic.autocomplete('O', {featureClass: 'P'});
+
+            }).then(function (result) {
+
+                assert.deepEqual(helperNames(result), ['Oslo', 'Alofi']);
+
+                return geolistic.autocomplete('O');
+
+            }).then(function (result) {
+
+                assert.equal(result.length, 3);
+
+                done();
+
+            }).catch(done);
+
+        });
+
+        it('autocomplete empty prefix', function (done) {
+
+            geolistic.autocomplete('', function (err, result) {
+
+                assert.notEqual(err, null);
+                assert.ok(err.toString().indexOf('Invalid prefix') > -1);
+
+                done();
+
+            });
+
+        });
+
+    });
+
+    describe('reverseGeocode', function () {
+
+        var query;
+
+        before(function () {
+
+            geolistic.config({elasticPath: 'geonames/geoname',
+                elasticClient: {info: helperInfo, search: function (input, fn) {
+                    query = input;
+                    fn(null, {hits: {hits: [{_source: {name: 'Alofi', featureClass: 'P'}, sort: [1.2]}]}});
+                }}});
+
+        });
+
+        it('reverseGeocode right', function (done) {
+
+            geolistic.reverseGeocode(-19.05, -169.92, function (err, result) {
+
+                assert.equal(err, null);
+                assert.equal(query.index, 'geonames');
+                assert.deepEqual(query.body.query.bool.filter[1], {term: {featureClass: 'P'}});
+                assert.equal(result[0].name, 'Alofi');
+                assert.equal(result[0].distance, 1.2);
+
+                done();
+
+            });
+
+        });
+
+        it('reverseGeocode with options', function (done) {
+
+            geolistic.reverseGeocode('-19.05', '-169.92', {featureClass: null, minPopulation: 100, size: 1},
+                function (err, result) {
+
+                    assert.equal(err, null);
+                    assert.equal(query.size, 1);
+                    assert.equal(query.body.query.bool.filter.length, 2);
+                    assert.deepEqual(query.body.query.bool.filter[1], {range: {population: {gte: 100}}});
+
+                    done();
+
+                });
+
+        });
+
+        it('reverseGeocode wrong coordinate', function (done) {
+
+            geolistic.reverseGeocode(91, 'east', function (err, result) {
+
+                assert.notEqual(err, null);
+                assert.equal(result, undefined);
+                assert.ok(err.toString().indexOf('Invalid coordinate ') > -1);
 
                 done();
 